@@ -1,11 +1,9 @@
-import * as d3 from 'd3';
 import { debug } from 'util';
 import { TokenDisplay } from '../data/TokenWrapper'
 import * as tp from '../etc/types'
 import * as R from 'ramda'
-import { DemoAPI } from './demoAPI'
-import * as hash from 'object-hash'
-import { makeUrl, toPayload } from '../etc/apiHelpers'
+import { ResponseCache, responseCache } from './responseCache'
+import { makeUrl, toPayload, fetchJSON, RequestOptions } from '../etc/apiHelpers'
 import { URLHandler } from '../etc/URLHandler';
 
 export const emptyTokenDisplay = new TokenDisplay()
@@ -19,22 +17,10 @@ const urlFormat = (host, port) => {
     return out;
 }
 
-const baseurl = URLHandler.basicURL()//urlFormat(window.location.hostname, 5000)
+// Searching the corpus can take much longer than running the model
+const searchOptions: RequestOptions = {timeout: 60000}
 
-/**
- * Check if the route is present in the precompiled list of paths. Otherwise, return false
- */
-function checkDemoAPI(toSend) {
-    const hsh = hash.sha1(toSend);
-    console.log("CHECKING DEMOAPI: " + hsh);
-    if (DemoAPI.hasOwnProperty(hsh)) {
-        // Relies on a symbolic link being present in the dist folder to the demo folder
-        const path = './demo/' + DemoAPI[hsh]
-        console.log("SENDING STATIC: ", path);
-        return d3.json(path)
-    }
-    return false
-}
+const baseurl = URLHandler.basicURL()//urlFormat(window.location.hostname, 5000)
 
 type SentenceInfo = {
     sentenceA: string,
@@ -44,13 +30,35 @@ type SentenceInfo = {
 
 export class BertAPI {
 
-    constructor(private baseURL: string = null) {
+    /**
+     * Every method takes an optional `signal` last, that cancels the request, and fails with an `ApiError`
+     *
+     * @param baseURL URL of the API
+     * @param cache Cache of the responses
+     * @param requestOptions Timeout and retries of every request
+     */
+    constructor(private baseURL: string = null, public cache: ResponseCache = responseCache, public requestOptions: RequestOptions = {}) {
         if (this.baseURL == null) {
             this.baseURL = baseurl+'/api';
         }
     }
 
-    getMetaAttentions(sentenceA: string, layer: number, sentenceB = "", hashObj:{}|null=null): Promise<tp.AttentionMetaResponse> {
+    private sender<T>(url: string, init: RequestInit = {}, options: RequestOptions = {}) {
+        return (signal: AbortSignal) => fetchJSON<T>(url, init, Object.assign({}, this.requestOptions, options, {signal: signal}))
+    }
+
+    /**
+     * Get the number of layers and heads, the special tokens and the metadata tags of the model on the server.
+     * Not persisted, so that a different model can be served after a restart.
+     */
+    getModelInfo(signal?: AbortSignal): Promise<tp.ModelInfo> {
+        const url = makeUrl(this.baseURL + "/model-info")
+        console.log("--- GET " + url);
+
+        return this.cache.fetch('model-info', {}, this.sender<tp.ModelInfo>(url), {persist: false, signal: signal})
+    }
+
+    getMetaAttentions(sentenceA: string, layer: number, sentenceB = "", signal?: AbortSignal): Promise<tp.AttentionMetaResponse> {
         const toSend: SentenceInfo = {
             sentenceA: sentenceA,
             sentenceB: sentenceB,
@@ -60,18 +68,10 @@ export class BertAPI {
         const url = makeUrl(this.baseURL + "/attend+meta", toSend)
         console.log("--- GET " + url);
 
-        // Add hash and value to hashObj
-        if (hashObj != null) {
-            const key = hash.sha1(toSend)
-            d3.json(url).then(r => {
-                hashObj[key] = r;
-            })
-        }
-
-        return checkDemoAPI(toSend) || d3.json(url)
+        return this.cache.fetch('attend+meta', toSend, this.sender<tp.AttentionMetaResponse>(url), {signal: signal})
     }
 
-    updateMaskedMetaAttentions(a: TokenDisplay, layer: number, b: TokenDisplay = emptyTokenDisplay, hashObj:{}|null=null): Promise<tp.AttentionMetaMaskedResponse> {
+    updateMaskedMetaAttentions(a: TokenDisplay, layer: number, b: TokenDisplay = emptyTokenDisplay, signal?: AbortSignal): Promise<tp.AttentionMetaMaskedResponse> {
 
         const toSend = {
             tokensA: R.map(R.prop('text'), a.tokenData),
@@ -86,17 +86,34 @@ export class BertAPI {
         const url = makeUrl(this.baseURL + '/update-meta-mask');
         const payload = toPayload(toSend)
 
-        // Add hash and value to hashObj
-        if (hashObj != null) {
-            const key = hash.sha1(toSend)
-            d3.json(url, payload).then(r => {
-                hashObj[key] = r;
-            })
+        console.log("--- POST " + url, payload);
+
+        return this.cache.fetch('update-meta-mask', toSend, this.sender<tp.AttentionMetaMaskedResponse>(url, payload), {signal: signal})
+    }
+
+    /**
+     * Get the attentions of every layer and head at once, e.g. to summarize all heads of the model
+     *
+     * @param a Tokens and masks of the first sentence
+     * @param b Tokens and masks of the second sentence
+     * @param signal Cancels the request
+     */
+    getAllLayerAttentions(a: TokenDisplay, b: TokenDisplay = emptyTokenDisplay, signal?: AbortSignal): Promise<tp.AllLayersResponse> {
+        const toSend = {
+            tokensA: R.map(R.prop('text'), a.tokenData),
+            tokensB: R.map(R.prop('text'), b.tokenData),
+
+            // Empty masks need to be sent as a number, unfortunately. Choosing -1 for this
+            maskA: a.maskInds.length ? a.maskInds : [-1],
+            maskB: b.maskInds.length ? b.maskInds : [-1],
         }
 
+        const url = makeUrl(this.baseURL + '/attend-all-layers');
+        const payload = toPayload(toSend)
+
         console.log("--- POST " + url, payload);
 
-        return checkDemoAPI(toSend) || d3.json(url, payload)
+        return this.cache.fetch('attend-all-layers', toSend, this.sender<tp.AllLayersResponse>(url, payload), {signal: signal})
     }
 
     /**
@@ -104,8 +121,9 @@ export class BertAPI {
      * @param embedding Embedding of the word
      * @param layer In the l'th layer
      * @param k how many results to retrieve
+     * @param signal Cancels the search
      */
-    getNearestWozEmbeddings(embedding: number[], layer: number, heads: number[], k = 10, hashObj:{}|null=null): Promise<tp.FaissSearchResults[]> {
+    getNearestWozEmbeddings(embedding: number[], layer: number, heads: number[], k = 10, signal?: AbortSignal): Promise<tp.FaissSearchResults[]> {
         const toSend = {
             embedding: embedding,
             layer: layer,
@@ -116,17 +134,10 @@ export class BertAPI {
         const url = makeUrl(this.baseURL + '/woz-k-nearest-embeddings', toSend);
         console.log("--- GET " + url);
 
-        if (hashObj != null) {
-            const key = hash.sha1(toSend)
-            d3.json(url).then(r => {
-                hashObj[key] = r;
-            })
-        }
-
-        return checkDemoAPI(toSend) || d3.json(url)
+        return this.cache.fetch('woz-k-nearest-embeddings', toSend, this.sender<tp.FaissSearchResults[]>(url, {}, searchOptions), {signal: signal})
     }
 
-    getNearestWozContexts(context: number[], layer: number, heads: number[], k = 10, hashObj:{}|null=null): Promise<tp.FaissSearchResults[]> {
+    getNearestWozContexts(context: number[], layer: number, heads: number[], k = 10, signal?: AbortSignal): Promise<tp.FaissSearchResults[]> {
         const toSend = {
             context: context,
             layer: layer,
@@ -137,13 +148,6 @@ export class BertAPI {
         const url = makeUrl(this.baseURL + '/woz-k-nearest-contexts', toSend);
         console.log("--- GET " + url);
 
-        if (hashObj != null) {
-            const key = hash.sha1(toSend)
-            d3.json(url).then(r => {
-                hashObj[key] = r;
-            })
-        }
-
-        return checkDemoAPI(toSend) || d3.json(url)
+        return this.cache.fetch('woz-k-nearest-contexts', toSend, this.sender<tp.FaissSearchResults[]>(url, {}, searchOptions), {signal: signal})
     }
 };
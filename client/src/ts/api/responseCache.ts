@@ -0,0 +1,338 @@
+import * as d3 from 'd3';
+import * as hash from 'object-hash'
+import * as R from 'ramda'
+import { ApiError, AbortError } from '../etc/apiHelpers'
+
+const DB_NAME = 'exbert-cache'
+const DB_VERSION = 1
+const RESPONSE_STORE = 'responses'
+const SESSION_STORE = 'sessions'
+
+// Key under which an uploaded session is stored until the page is reloaded to replay it
+export const LOCAL_SESSION = 'local'
+
+/**
+ * A request was not recorded in the session being replayed
+ */
+export class NotRecordedError extends ApiError {
+    name = 'NotRecordedError'
+
+    constructor(route: string) {
+        super(`The request to '${route}' was not recorded in the replayed session`, route)
+    }
+}
+
+export interface FetchOptions {
+    persist?: boolean // Whether to keep the response in IndexedDB. Responses that can change between reloads should not be persisted.
+    signal?: AbortSignal // Stops waiting for the response. The request itself is cancelled once nobody waits for it anymore.
+}
+
+/**
+ * A request sent to the server, shared by everyone who asked for it while it was running
+ */
+interface PendingRequest {
+    response: Promise<any>
+    controller: AbortController
+    waiting: number
+}
+
+export interface CacheLimits {
+    memory: number // Responses kept in memory
+    stored: number // Responses kept in IndexedDB
+}
+
+export const defaultCacheLimits: CacheLimits = {
+    memory: 100,
+    stored: 500,
+}
+
+/**
+ * A response in IndexedDB, with the time it was last used so that the least recently used responses are evicted first
+ */
+interface StoredResponse {
+    response: any
+    used: number
+}
+
+/**
+ * A request used in the current session. Its response is only read back from the caches when the session is exported
+ */
+interface RecordedRequest {
+    route: string
+    request: object
+}
+
+export interface CacheEntry extends RecordedRequest {
+    response: any
+}
+
+/**
+ * Every response needed to replay a session without a server
+ */
+export interface SessionBundle {
+    version: number
+    created: string
+    config: object // State of the interface when the session was saved, used as the starting point of the replay
+    entries: {[key: string]: CacheEntry}
+}
+
+const requestToPromise = <T>(req: IDBRequest): Promise<T> => new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result)
+    req.onerror = () => reject(req.error)
+})
+
+function openDB(): Promise<IDBDatabase> {
+    if (typeof indexedDB === 'undefined') return Promise.reject(new Error("IndexedDB is not available"))
+
+    const req = indexedDB.open(DB_NAME, DB_VERSION)
+    req.onupgradeneeded = () => {
+        const db = req.result
+        db.createObjectStore(RESPONSE_STORE).createIndex('used', 'used')
+        db.createObjectStore(SESSION_STORE)
+    }
+
+    return requestToPromise<IDBDatabase>(req)
+}
+
+/**
+ * Caches the responses of the backend in memory and in IndexedDB, keyed by the hash of the route and the request.
+ *
+ * Both caches are bounded by `CacheLimits` and drop the least recently used responses first.
+ *
+ * All requests used in the current session are recorded so that their responses can be exported as a `SessionBundle`,
+ * as long as the caches still hold them.
+ * When a bundle is replayed, no request reaches the server and only recorded responses are available.
+ */
+export class ResponseCache {
+    protected memory = new Map<string, any>()
+    protected inFlight = new Map<string, PendingRequest>()
+    protected recorded = new Map<string, RecordedRequest>()
+    protected _replaying = false
+    protected _model: string = null // Responses of different models must not be mixed up
+    protected db: Promise<IDBDatabase | null>
+
+    constructor(persist = true, public limits: CacheLimits = defaultCacheLimits) {
+        // The cache keeps working in memory if IndexedDB is unavailable, e.g. in private browsing
+        this.db = persist ? openDB().catch(e => {
+            console.log("Response cache not persisted: ", e)
+            return null
+        }) : Promise.resolve(null)
+    }
+
+    static key(route: string, request: object, model: string = null): string {
+        return hash.sha1({route: route, request: request, model: model})
+    }
+
+    get replaying(): boolean {
+        return this._replaying
+    }
+
+    /**
+     * Name of the model that answers the requests. Responses cached for another model are not used.
+     */
+    model(): string
+    model(val: string): this
+    model(val?) {
+        if (val === undefined) return this._model
+        this._model = val
+        return this
+    }
+
+    /**
+     * Return the cached response of a request, or use `send` to get it from the server and cache it.
+     * Identical requests that are sent at the same time share a single fetch.
+     *
+     * Every caller gets its own copy of the response, so that changing it does not change the cache or other views.
+     *
+     * @param route Name of the endpoint
+     * @param request Parameters of the request
+     * @param send Function that fetches the response from the server, cancelled by the given signal
+     * @param options Persistence and cancellation of the request
+     */
+    fetch<T>(route: string, request: object, send: (signal: AbortSignal) => Promise<T>, options: FetchOptions = {}): Promise<T> {
+        const key = ResponseCache.key(route, request, this._model)
+        const persist = options.persist !== false
+
+        if (this.memory.has(key)) {
+            const r = this.memory.get(key)
+            this.remember(key, r)
+            this.record(key, route, request)
+            return Promise.resolve(R.clone(r))
+        }
+
+        if (this._replaying) return Promise.reject(new NotRecordedError(route))
+
+        if (!this.inFlight.has(key)) {
+            const controller = new AbortController()
+            const stored = persist ? this.getStored(key) : Promise.resolve(undefined)
+            const response = stored
+                .then(stored => stored !== undefined ? stored : send(controller.signal).then(r => {
+                    if (persist) this.putStored(key, r)
+                    return r
+                }))
+                .then(r => {
+                    this.remember(key, r)
+                    this.inFlight.delete(key)
+                    this.record(key, route, request)
+                    return r
+                }, e => {
+                    this.inFlight.delete(key)
+                    throw e
+                })
+
+            this.inFlight.set(key, {response: response, controller: controller, waiting: 0})
+        }
+
+        return this.wait<T>(this.inFlight.get(key), route, options.signal).then(r => R.clone(r))
+    }
+
+    /**
+     * Wait for a shared request until it completes or `signal` aborts
+     */
+    private wait<T>(pending: PendingRequest, route: string, signal?: AbortSignal): Promise<T> {
+        pending.waiting += 1
+        if (signal == null) return pending.response
+
+        return new Promise((resolve, reject) => {
+            const onAbort = () => {
+                pending.waiting -= 1
+                if (pending.waiting == 0) pending.controller.abort()
+                reject(new AbortError(route))
+            }
+
+            if (signal.aborted) return onAbort()
+            signal.addEventListener('abort', onAbort)
+
+            pending.response.then(r => {
+                signal.removeEventListener('abort', onAbort)
+                resolve(r)
+            }, e => {
+                signal.removeEventListener('abort', onAbort)
+                reject(e)
+            })
+        })
+    }
+
+    /**
+     * Keep a response in memory as the most recently used one. A replayed session is never evicted.
+     */
+    private remember(key: string, response: any) {
+        this.memory.delete(key)
+        this.memory.set(key, response)
+        if (this._replaying) return
+
+        // Maps iterate in insertion order, so the first key is the least recently used
+        while (this.memory.size > this.limits.memory) this.memory.delete(this.memory.keys().next().value)
+    }
+
+    private record(key: string, route: string, request: object) {
+        this.recorded.set(key, {route: route, request: request})
+    }
+
+    private getStored(key: string): Promise<any> {
+        return this.db.then(db => {
+            if (db == null) return undefined
+            const store = db.transaction(RESPONSE_STORE, 'readwrite').objectStore(RESPONSE_STORE)
+            const req = store.get(key)
+
+            // Mark the response as used while the transaction is still active
+            return new Promise((resolve, reject) => {
+                req.onsuccess = () => {
+                    const stored: StoredResponse = req.result
+                    if (stored === undefined) return resolve(undefined)
+                    store.put({response: stored.response, used: Date.now()}, key)
+                    resolve(stored.response)
+                }
+                req.onerror = () => reject(req.error)
+            })
+        }).catch(() => undefined)
+    }
+
+    private putStored(key: string, val: any) {
+        this.db.then(db => {
+            if (db == null) return
+            const store = db.transaction(RESPONSE_STORE, 'readwrite').objectStore(RESPONSE_STORE)
+            const stored: StoredResponse = {response: val, used: Date.now()}
+            store.put(stored, key)
+
+            // Evict in the same transaction, walking from the least recently used response
+            const count = store.count()
+            count.onsuccess = () => {
+                let excess = count.result - this.limits.stored
+                if (excess <= 0) return
+
+                const cursor = store.index('used').openCursor()
+                cursor.onsuccess = () => {
+                    if (cursor.result == null || excess <= 0) return
+                    cursor.result.delete()
+                    excess -= 1
+                    cursor.result.continue()
+                }
+            }
+        }).catch(e => console.log("Could not persist response: ", e))
+    }
+
+    /**
+     * Collect the responses of the requests used since the page was loaded. Responses that were evicted from both
+     * caches are left out, so at most `limits.stored` responses are exported, or `limits.memory` without IndexedDB.
+     *
+     * @param config State of the interface to start the replay from
+     */
+    exportSession(config: object = {}): Promise<SessionBundle> {
+        const keys = Array.from(this.recorded.keys())
+        const responses = keys.map(k => this.memory.has(k) ? Promise.resolve(this.memory.get(k)) : this.getStored(k))
+
+        return Promise.all(responses).then(rs => {
+            const entries: {[key: string]: CacheEntry} = {}
+            keys.forEach((k, i) => {
+                if (rs[i] !== undefined) entries[k] = Object.assign({response: rs[i]}, this.recorded.get(k))
+            })
+
+            return {
+                version: 1,
+                created: new Date().toISOString(),
+                config: config,
+                entries: entries,
+            }
+        })
+    }
+
+    /**
+     * Serve all requests from the bundle and never contact the server
+     */
+    replay(bundle: SessionBundle) {
+        this._replaying = true
+        this.memory.clear()
+        Object.keys(bundle.entries).forEach(k => this.memory.set(k, bundle.entries[k].response))
+        return this
+    }
+
+    /**
+     * Keep a session in the browser so that it can be replayed after the page is reloaded
+     */
+    storeSession(bundle: SessionBundle): Promise<void> {
+        return this.db.then(db => {
+            if (db == null) throw new Error("Sessions can only be stored if IndexedDB is available")
+            const store = db.transaction(SESSION_STORE, 'readwrite').objectStore(SESSION_STORE)
+            return requestToPromise<any>(store.put(bundle, LOCAL_SESSION))
+        }).then(() => undefined)
+    }
+
+    /**
+     * Load a session to replay
+     *
+     * @param location Either `LOCAL_SESSION` for the session stored in the browser, or the URL of a bundle
+     */
+    loadSession(location: string): Promise<SessionBundle> {
+        if (location != LOCAL_SESSION) return d3.json(location)
+
+        return this.db.then(db => {
+            if (db == null) throw new Error("Sessions can only be stored if IndexedDB is available")
+            const store = db.transaction(SESSION_STORE, 'readonly').objectStore(SESSION_STORE)
+            return requestToPromise<SessionBundle>(store.get(LOCAL_SESSION))
+        })
+    }
+}
+
+// Shared by all instances of the API
+export const responseCache = new ResponseCache()
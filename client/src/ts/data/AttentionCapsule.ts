@@ -28,14 +28,41 @@ function updateFromMask(r:tp.AttentionMetaMaskedResponse, key) {
     return new AttentionWrapper(r[key].att, [leftZero, rightZero]);
 }
 
-export function makeFromMetaResponse(r:tp.AttentionMetaResponse, isZeroed){
-    const key = 'aa' // Change this if backend response changes to be simpler
-    const currPair = r[key]
-    const left = <tp.FullSingleTokenInfo[]>currPair.left
-    const right = <tp.FullSingleTokenInfo[]>currPair.right
-    const leftZero = x_.findAllIndexes(left.map(t => t.text), (a) => _.includes(bpeTokens, a))
-    const rightZero = x_.findAllIndexes(right.map(t => t.text), (a) => _.includes(bpeTokens, a))
-    return new AttentionWrapper(currPair.att, [leftZero, rightZero], isZeroed)
+type BadToks = [number[], number[]]
+
+interface AttentionPair {
+    att: number[][][]
+    badToks: BadToks
+}
+
+const pairKeys: tp.SentenceOptions[] = ['aa', 'ab', 'ba', 'bb']
+const findBadToks = (text:string[], zeroTokens:string[]) => x_.findAllIndexes(text, (a) => _.includes(zeroTokens, a))
+
+/**
+ * Collect the attention of every sentence pair present in the response
+ */
+function pairsFromResponse(r:tp.AttentionMetaResponse|tp.AttentionMetaMaskedResponse, toText:(side) => string[], zeroTokens:string[]) {
+    const out: {[key: string]: AttentionPair} = {}
+    pairKeys.filter(k => r[k] != null).forEach(k => {
+        const currPair = r[k]
+        out[k] = {
+            att: currPair.att,
+            badToks: [findBadToks(toText(currPair.left), zeroTokens), findBadToks(toText(currPair.right), zeroTokens)],
+        }
+    })
+
+    return out
+}
+
+const metaText = (side:tp.FullSingleTokenInfo[]) => side.map(t => t.text)
+const maskedText = (side:{text: string[]}) => side.text
+
+export function makeFromMetaResponse(r:tp.AttentionMetaResponse, isZeroed, attType:tp.SentenceOptions='aa', modelInfo:tp.ModelInfo=null){
+    const out = new AttentionWrapper(r.aa.att, [[], []], isZeroed)
+    if (modelInfo != null) out.configure(modelInfo)
+    out.attType(attType)
+    out.updateFromNormal(r, isZeroed)
+    return out
 }
 
 export class AttentionWrapper {
@@ -47,6 +74,10 @@ export class AttentionWrapper {
     isZeroed: boolean
     nLayers = 12;
     nHeads = 12;
+    zeroTokens = bpeTokens // Tokens whose attention is hidden when zeroed
+
+    protected _pairs: {[key: string]: AttentionPair} = {} // Attention of every sentence pair in the last response
+    protected _attType: tp.SentenceOptions = 'aa'
 
     constructor(att:number[][][], badToks:[number[], number[]]=[[],[]], isZeroed=true){
         this.init(att, badToks, isZeroed)
@@ -60,22 +91,47 @@ export class AttentionWrapper {
         this.badToks = badToks;
     }
 
+    /**
+     * Match the number of layers and heads and the special tokens of the model on the server
+     */
+    configure(info:tp.ModelInfo) {
+        this.nLayers = info.nLayers
+        this.nHeads = info.nHeads
+        this.zeroTokens = [info.specialTokens.cls, info.specialTokens.sep]
+        return this
+    }
+
     updateFromMasking(r:tp.AttentionMetaMaskedResponse, isZeroed){
-        const key = 'aa' // Change this if backend response changes to be simpler
-        const currPair = r[key]
-        const leftZero = x_.findAllIndexes(currPair.left.text, (a) => _.includes(bpeTokens, a))
-        const rightZero = x_.findAllIndexes(currPair.right.text, (a) => _.includes(bpeTokens, a))
-        this.init(currPair.att, [leftZero, rightZero], isZeroed)
+        this._pairs = pairsFromResponse(r, maskedText, this.zeroTokens)
+        this.initPair(isZeroed)
     }
 
     updateFromNormal(r:tp.AttentionMetaResponse, isZeroed){
-        const key = 'aa' // Change this if backend response changes to be simpler
-        const currPair = r[key]
-        const left = <tp.FullSingleTokenInfo[]>currPair.left
-        const right = <tp.FullSingleTokenInfo[]>currPair.right
-        const leftZero = x_.findAllIndexes(left.map(t => t.text), (a) => _.includes(bpeTokens, a))
-        const rightZero = x_.findAllIndexes(right.map(t => t.text), (a) => _.includes(bpeTokens, a))
-        this.init(currPair.att, [leftZero, rightZero], isZeroed)
+        this._pairs = pairsFromResponse(r, metaText, this.zeroTokens)
+        this.initPair(isZeroed)
+    }
+
+    /**
+     * Display the attention of the selected sentence pair. Falls back to A->A if the pair was not returned
+     */
+    protected initPair(isZeroed) {
+        if (!this.hasAttType(this._attType)) this._attType = 'aa'
+        const pair = this._pairs[this._attType]
+        this.init(pair.att, pair.badToks, isZeroed)
+    }
+
+    hasAttType(val:tp.SentenceOptions):boolean {
+        return this._pairs[val] != null
+    }
+
+    attType(): tp.SentenceOptions
+    attType(val:tp.SentenceOptions): this
+    attType(val?) {
+        if (val == null) return this._attType
+
+        this._attType = val
+        if (this.hasAttType(val)) this.initPair(this.isZeroed)
+        return this
     }
 
     get attTensor() {
@@ -118,6 +174,36 @@ export class AttentionWrapper {
     byHead(head:number):number[][] {
         return this._byHead(head).arraySync()
     }
+
+    /**
+     * The attention of each of the heads, kept separate
+     */
+    perHead(heads:number[]):number[][][] {
+        return heads.map(h => this.byHead(h))
+    }
+
+    get shape():number[] {
+        return this._attTensor.shape
+    }
+
+    /**
+     * The absolute difference between this attention and the attention of another configuration.
+     * Attentions can only be compared element-wise, so return null if the shapes disagree.
+     *
+     * @param other Attention of the configuration to compare against
+     * @param isZeroed Whether the CLS and SEP tokens of either attention should be zeroed in the result
+     */
+    diff(other:AttentionWrapper, isZeroed=this.isZeroed):AttentionWrapper|null {
+        if (!_.isEqual(this.shape, other.shape)) return null
+
+        const diffAtt = <number[][][]>this._attTensor.sub(other._attTensor).abs().arraySync()
+        const badToks:[number[], number[]] = [
+            _.union(this.badToks[0], other.badToks[0]),
+            _.union(this.badToks[1], other.badToks[1]),
+        ]
+
+        return new AttentionWrapper(diffAtt, badToks, isZeroed)
+    }
 }
 
 function zeroRowCol(tens:tf.Tensor3D, rows:number[], cols:number[]):tf.Tensor3D {
@@ -0,0 +1,104 @@
+import * as _ from 'lodash'
+import * as tp from '../etc/types'
+
+export type RelationMeta = "pos" | "dep"
+
+const metaKeys: {[k in RelationMeta]: string} = {
+    pos: 'bpe_pos',
+    dep: 'bpe_dep',
+}
+
+/**
+ * A sentence of the batch with its metadata and the attentions of sentence A to itself at every layer
+ */
+export interface BatchSentence {
+    sentence: string
+    tokens: tp.FullSingleTokenInfo[]
+    att: number[][][][] // [layers, heads, tokens, tokens]
+}
+
+export interface RelationShares {
+    source: string // Category of the source tokens
+    nSources: number // Number of source tokens in the batch
+    shares: {[target: string]: number[][]} // Mean share of the attention going to each category, by layer and head
+}
+
+/**
+ * Lowercased category of a token, like the tags of `SpacyInfo`. Special tokens have none
+ */
+export function tokenCategory(tok: tp.FullSingleTokenInfo, meta: RelationMeta): string | null {
+    const val = tok[metaKeys[meta]]
+    return (val == null || val === '') ? null : String(val).toLowerCase()
+}
+
+/**
+ * Aggregate the attentions of a batch of sentences by the POS or DEP categories of the tokens
+ */
+export class BatchAttentionWrapper {
+    constructor(public data: BatchSentence[]) {}
+
+    get nLayers() {
+        return this.data.length ? this.data[0].att.length : 0
+    }
+
+    get nHeads() {
+        return this.nLayers ? this.data[0].att[0].length : 0
+    }
+
+    /**
+     * Every category of the batch, from the most to the least frequent
+     */
+    categories(meta: RelationMeta): string[] {
+        const cats = _.flatMap(this.data, s => s.tokens.map(t => tokenCategory(t, meta))).filter(c => c != null)
+        const counts = _.countBy(cats)
+        return _.sortBy(Object.keys(counts), c => -counts[c])
+    }
+
+    /**
+     * For every token of the `source` category, compute which share of its attention goes to each category of tokens,
+     * then average over all these tokens. Special tokens are left out, so the shares of a token sum to 1.
+     *
+     * E.g. with `pos`, `verb` and `dep`, `shares.dobj[8][10]` is how much head 10 of layer 8 attends from verbs to direct objects.
+     *
+     * @param sourceMeta Metadata that categorizes the source tokens
+     * @param source Category of the source tokens
+     * @param targetMeta Metadata that categorizes the target tokens
+     */
+    relationShares(sourceMeta: RelationMeta, source: string, targetMeta: RelationMeta): RelationShares {
+        const zeros = () => _.range(this.nLayers).map(() => _.fill(Array(this.nHeads), 0))
+        const sums: {[target: string]: number[][]} = {}
+        let nSources = 0
+
+        this.data.forEach(s => {
+            const targetCats = s.tokens.map(t => tokenCategory(t, targetMeta))
+            const targets = _.range(s.tokens.length).filter(j => targetCats[j] != null)
+            targets.forEach(j => sums[targetCats[j]] = sums[targetCats[j]] || zeros())
+
+            s.tokens.forEach((tok, i) => {
+                if (tokenCategory(tok, sourceMeta) != source) return
+                nSources += 1
+
+                s.att.forEach((layer, l) => layer.forEach((head, h) => {
+                    const row = head[i]
+                    const total = _.sum(targets.map(j => row[j]))
+                    if (total == 0) return
+
+                    targets.forEach(j => sums[targetCats[j]][l][h] += row[j] / total)
+                }))
+            })
+        })
+
+        return {
+            source: source,
+            nSources: nSources,
+            shares: _.mapValues(sums, mat => mat.map(row => row.map(v => nSources > 0 ? v / nSources : 0))),
+        }
+    }
+
+    /**
+     * Average the shares of each category over some heads of a layer
+     */
+    static byHeads(r: RelationShares, layer: number, heads: number[]): {[target: string]: number} {
+        return _.mapValues(r.shares, mat => heads.length ? _.mean(heads.map(h => mat[layer][h])) : 0)
+    }
+}
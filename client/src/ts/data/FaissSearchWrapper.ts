@@ -2,7 +2,7 @@ import * as tp from '../etc/types'
 import * as d3 from 'd3'
 import 'd3-array'
 import * as R from 'ramda'
-import {SpacyInfo} from '../etc/SpacyInfo'
+import {spacyColors} from '../etc/SpacyInfo'
 import {initZero} from '../etc/xramda'
 
 // If value is not a string, don't try to make lowercase
@@ -12,7 +12,39 @@ function argMax(array:number[]) {
   return [].map.call(array, (x, i) => [x, i]).reduce((r, a) => (a[0] > r[0] ? a : r))[1];
 }
 
-const getMaxToken = (d: tp.FaissSearchResults) => d.tokens[argMax(d.matched_att.out.att)]
+export const getMaxToken = (d: tp.FaissSearchResults) => d.tokens[argMax(d.matched_att.out.att)]
+
+// Which token of a result a filter applies to: the matched token or the token it attends to the most
+export type ResultFilterTarget = "matched" | "maxAtt"
+export type ResultSortOptions = "similarity" | "attention"
+
+export interface ResultFilter {
+    target: ResultFilterTarget
+    key: tp.SimpleMeta | "offset"
+    value: string // As labeled in the histograms
+}
+
+export interface ResultQuery {
+    filters: ResultFilter[]
+    text: string // Only keep sentences containing this text
+    sortBy: ResultSortOptions
+}
+
+export const emptyQuery = (): ResultQuery => {
+    return {filters: [], text: '', sortBy: 'similarity'}
+}
+
+/**
+ * The value of a result that a filter is compared against, formatted like the labels of the histograms
+ */
+function filterValue(d: tp.FaissSearchResults, f: ResultFilter): string {
+    if (f.key == "offset") return String(d.matched_att.out.offset_to_max)
+
+    const tok = f.target == "matched" ? d.tokens[d.index] : getMaxToken(d)
+    return makeStringLower(String(tok[f.key]))
+}
+
+const maxAttention = (d: tp.FaissSearchResults) => Math.max(...d.matched_att.out.att)
 
 
 export class FaissSearchResultWrapper {
@@ -46,9 +78,9 @@ export class FaissSearchResultWrapper {
     countMaxAttKeys(indexOffset=0) {
         // The keys in the below object dictate what we count
         const countObj = {
-            pos: initZero(SpacyInfo.TotalMetaOptions.pos),
-            dep: initZero(SpacyInfo.TotalMetaOptions.dep),
-            is_ent: initZero(SpacyInfo.TotalMetaOptions.is_ent),
+            pos: initZero(spacyColors.metaOptions.pos),
+            dep: initZero(spacyColors.metaOptions.dep),
+            is_ent: initZero(spacyColors.metaOptions.is_ent),
         }
 
         this.data.forEach(d => {
@@ -67,9 +99,9 @@ export class FaissSearchResultWrapper {
     countMatchedKeys(indexOffset=0) {
         // The keys in the below object dictate what we count
         const countObj = {
-            pos: initZero(SpacyInfo.TotalMetaOptions.pos),
-            dep: initZero(SpacyInfo.TotalMetaOptions.dep),
-            is_ent: initZero(SpacyInfo.TotalMetaOptions.is_ent),
+            pos: initZero(spacyColors.metaOptions.pos),
+            dep: initZero(spacyColors.metaOptions.dep),
+            is_ent: initZero(spacyColors.metaOptions.is_ent),
         }
 
         this.data.forEach(d => {
@@ -92,6 +124,25 @@ export class FaissSearchResultWrapper {
         return nonZero
     }
 
+    /**
+     * Keep the results that pass all filters of the query, in the order that it requests.
+     * Results are initially ordered by similarity, so that order is kept unless sorting by attention.
+     */
+    query(q: ResultQuery): FaissSearchResultWrapper {
+        const text = q.text.toLowerCase()
+
+        const filtered = this.data.filter(d => {
+            const hasText = d.sentence.toLowerCase().indexOf(text) > -1
+            return hasText && q.filters.every(f => filterValue(d, f) == f.value)
+        })
+
+        const sorted = q.sortBy == "attention"
+            ? R.sortBy(d => -maxAttention(d), filtered)
+            : filtered
+
+        return new FaissSearchResultWrapper(sorted)
+    }
+
     getMaxAttHistogram() {
         // const totalHist = this.countPosInfo()
         const newHist = this.countMaxAttKeys()
@@ -78,6 +78,8 @@ export class TokenDisplay  {
 
 export class TokenWrapper {
     a: TokenDisplay
+    b: TokenDisplay
+    hasB: boolean // Without a second sentence, `b` is empty
 
     constructor(r:tp.AttentionMetaResponse){
         this.updateFromResponse(r);
@@ -85,20 +87,26 @@ export class TokenWrapper {
 
     updateFromResponse(r:tp.AttentionMetaResponse) {
         const tokensA = r.aa.left;
-        this.updateFromComponents(tokensA, [])
+        const tokensB = r.bb == null ? null : r.bb.left;
+        this.updateFromComponents(tokensA, [], tokensB, [])
     }
 
-    updateFromComponents(a:tp.FullSingleTokenInfo[], maskA:number[]){
+    updateFromComponents(a:tp.FullSingleTokenInfo[], maskA:number[], b:tp.FullSingleTokenInfo[]=null, maskB:number[]=[]){
         this.a = new TokenDisplay(a, maskA)
+        this.hasB = b != null
+        this.b = this.hasB ? new TokenDisplay(b, maskB) : new TokenDisplay()
     }
 
     updateEmbeddingsFromMasking(r:tp.AttentionMetaMaskedResponse) {
-        const tokensA = r.aa.left
+        const update = (tokens:TokenDisplay, info) => {
+            tokens.tokenData.forEach((d, i) => {
+                d.embeddings = info.embeddings[i]
+                d.contexts = info.contexts[i]
+            })
+        }
 
-        this.a.tokenData.forEach((d, i) => {
-            d.embeddings = tokensA.embeddings[i]
-            d.contexts = tokensA.contexts[i]
-    })
+        update(this.a, r.aa.left)
+        if (this.hasB && (r.bb != null)) update(this.b, r.bb.left)
     }
 
     /**
@@ -0,0 +1,92 @@
+import {D3Sel} from './Util'
+import {AbortError} from './apiHelpers'
+
+/**
+ * Show in a panel whether its requests to the backend are loading or why the last one failed.
+ *
+ * Requests of the same kind started with `latest` replace each other: the older request is cancelled and its
+ * response is never shown.
+ */
+export class RequestStatus {
+    private pending = 0
+    private error: Error = null
+    private controllers = new Map<string, AbortController>()
+
+    /**
+     * @param sel Element that displays the status
+     * @param panel Element that is dimmed while loading and marked when a request failed
+     */
+    constructor(private sel: D3Sel, private panel: D3Sel) {
+        this.sel.attr('role', 'status')
+        this.render()
+    }
+
+    /**
+     * Display the state of a request until it settles
+     */
+    track<T>(request: Promise<T>): Promise<T> {
+        this.pending += 1
+        this.error = null
+        this.render()
+
+        return request.then(r => {
+            this.pending -= 1
+            this.render()
+            return r
+        }, e => {
+            this.pending -= 1
+            if (!(e instanceof AbortError)) this.error = e
+            this.render()
+            throw e
+        })
+    }
+
+    /**
+     * Cancel the pending request of this kind, if any, and track a new one
+     *
+     * @param kind Requests of the same kind replace each other
+     * @param send Start the request, cancelled by the given signal
+     */
+    latest<T>(kind: string, send: (signal: AbortSignal) => Promise<T>): Promise<T> {
+        this.cancel(kind)
+        const controller = new AbortController()
+        this.controllers.set(kind, controller)
+
+        const settle = () => {
+            if (this.controllers.get(kind) === controller) this.controllers.delete(kind)
+        }
+
+        return this.track(send(controller.signal)).then(r => {
+            settle()
+            return r
+        }, e => {
+            settle()
+            throw e
+        })
+    }
+
+    /**
+     * Cancel the pending request of a kind, or all pending requests of the panel
+     */
+    cancel(kind?: string) {
+        const kinds = kind == null ? Array.from(this.controllers.keys()) : [kind]
+        kinds.forEach(k => {
+            const controller = this.controllers.get(k)
+            if (controller != null) {
+                controller.abort()
+                this.controllers.delete(k)
+            }
+        })
+    }
+
+    private render() {
+        const loading = this.pending > 0
+        const failed = !loading && this.error != null
+
+        this.panel.classed('request-loading', loading)
+            .attr('aria-busy', loading ? true : null)
+        this.sel.classed('request-loading', loading)
+            .classed('request-error', failed)
+            .text(loading ? "Loading…" : failed ? `Request failed: ${this.error.message}` : "")
+    }
+}
@@ -5,11 +5,22 @@ import {COLORS200} from '../etc/colors'
 
 export class SpacyInfo {
     colorScale:tp.ColorMetaScale
+    metaOptions:tp.MetaOptions = SpacyInfo.TotalMetaOptions // Tags of the spacy model used by the server
 
     constructor(){
         this.colorScale = this.createColorScales();
     }
 
+    /**
+     * Use the tags of the spacy model reported by the server. The color scales are replaced in place,
+     * so components that kept a reference to `colorScale` pick up the new colors.
+     */
+    setMetaOptions(options:tp.MetaOptions) {
+        this.metaOptions = options
+        Object.assign(this.colorScale, this.createColorScales())
+        return this
+    }
+
     static EnglishMetaOptions: tp.MetaOptions = {
         pos: ['punct', 'sym', 'x', 'adj', 'verb', 'conj', 'num', 'et', 'adv', 'x', 'adp', 'noun', 'propn', 'part', 'pron', 'space', 'intj'],
         dep: ['root', 'ROOT', 'acl', 'acomp', 'advcl', 'advmod', 'agent', 'amod', 'appos', 'attr', 'aux', 'auxpass', 'case', 'cc', 'ccomp', 'compound', 'conj', 'cop', 'csubj', 
@@ -47,10 +58,10 @@ export class SpacyInfo {
         }
 
         const myColors = {
-            pos: toScale(SpacyInfo.TotalMetaOptions.pos),
-            dep: toScale(SpacyInfo.TotalMetaOptions.dep),
-            is_ent: toScale(SpacyInfo.TotalMetaOptions.is_ent),
-            ents: toScale(SpacyInfo.TotalMetaOptions.ents),
+            pos: toScale(this.metaOptions.pos),
+            dep: toScale(this.metaOptions.dep),
+            is_ent: toScale(this.metaOptions.is_ent),
+            ents: toScale(this.metaOptions.ents),
             offset: d3.scaleOrdinal().range(['black'])
         }
 
@@ -11,7 +11,7 @@ export function makeUrl(base: string, params?: object):string {
         Object.keys(params).forEach( k => {
             out += k;
             out += '=';
-            out += params[k];
+            out += encodeURIComponent(params[k]);
             out += "&";
         })
         return out.replace(/&$/g, "");
@@ -30,4 +30,148 @@ export const toPayload = (toSend) => {return {
     headers: {
             "Content-type": "application/json; charset=UTF-8"
         }
-}}
\ No newline at end of file
+}}
+
+/**
+ * Failure of a request to the backend
+ */
+export class ApiError extends Error {
+    name = 'ApiError'
+
+    constructor(message: string, public url: string) {
+        super(message)
+    }
+}
+
+/**
+ * The server answered with an error status
+ */
+export class HttpError extends ApiError {
+    name = 'HttpError'
+
+    constructor(url: string, public status: number, statusText: string) {
+        super(`The server answered ${status} ${statusText}`, url)
+    }
+}
+
+/**
+ * The server could not be reached
+ */
+export class NetworkError extends ApiError {
+    name = 'NetworkError'
+
+    constructor(url: string) {
+        super("The server could not be reached", url)
+    }
+}
+
+/**
+ * The server did not answer in time
+ */
+export class TimeoutError extends ApiError {
+    name = 'TimeoutError'
+
+    constructor(url: string, public timeout: number) {
+        super(`The server did not answer within ${timeout / 1000}s`, url)
+    }
+}
+
+/**
+ * The request was cancelled, usually because a newer request replaced it. Not shown to the user
+ */
+export class AbortError extends ApiError {
+    name = 'AbortError'
+
+    constructor(url: string) {
+        super("The request was cancelled", url)
+    }
+}
+
+export interface RequestOptions {
+    timeout?: number // Milliseconds to wait for each attempt
+    retries?: number // Attempts after the first one, if the server could not be reached, timed out or failed with a 5xx status
+    retryDelay?: number // Milliseconds before the first retry, doubled for every other retry
+    signal?: AbortSignal // Cancels the request and its retries
+}
+
+export const defaultRequestOptions: RequestOptions = {
+    timeout: 30000,
+    retries: 2,
+    retryDelay: 500,
+}
+
+const isRetryable = (e: Error) => (e instanceof NetworkError) || (e instanceof TimeoutError) || ((e instanceof HttpError) && e.status >= 500)
+
+function wait(ms: number, url: string, signal?: AbortSignal): Promise<void> {
+    return new Promise((resolve, reject) => {
+        const onAbort = () => {
+            clearTimeout(timer)
+            reject(new AbortError(url))
+        }
+        const timer = setTimeout(() => {
+            if (signal != null) signal.removeEventListener('abort', onAbort)
+            resolve()
+        }, ms)
+
+        if (signal != null) signal.addEventListener('abort', onAbort)
+    })
+}
+
+function fetchOnce<T>(url: string, init: RequestInit, op: RequestOptions): Promise<T> {
+    if (op.signal != null && op.signal.aborted) return Promise.reject(new AbortError(url))
+
+    const controller = new AbortController()
+    const onAbort = () => controller.abort()
+    let timedOut = false
+    const timer = setTimeout(() => {
+        timedOut = true
+        controller.abort()
+    }, op.timeout)
+    if (op.signal != null) op.signal.addEventListener('abort', onAbort)
+
+    const cleanUp = () => {
+        clearTimeout(timer)
+        if (op.signal != null) op.signal.removeEventListener('abort', onAbort)
+    }
+
+    const toApiError = (e: Error) => {
+        if (e instanceof ApiError) return e
+        if (timedOut) return new TimeoutError(url, op.timeout)
+        if (controller.signal.aborted) return new AbortError(url)
+        if (e instanceof SyntaxError) return new ApiError("The server answered with invalid JSON", url)
+        return new NetworkError(url)
+    }
+
+    return fetch(url, Object.assign({}, init, {signal: controller.signal}))
+        .then(resp => {
+            if (!resp.ok) throw new HttpError(url, resp.status, resp.statusText)
+            return resp.json()
+        })
+        .then(r => {
+            cleanUp()
+            return r
+        }, e => {
+            cleanUp()
+            throw toApiError(e)
+        })
+}
+
+/**
+ * Fetch JSON from the backend, like `d3.json`, but fail with an `ApiError` and retry when the failure may be temporary
+ *
+ * @param url URL of the request
+ * @param init Method, body and headers of the request, see `toPayload`
+ * @param options Timeout, retries and cancellation of the request
+ */
+export function fetchJSON<T>(url: string, init: RequestInit = {}, options: RequestOptions = {}): Promise<T> {
+    const op = Object.assign({}, defaultRequestOptions, options)
+
+    const attempt = (n: number): Promise<T> => fetchOnce<T>(url, init, op).catch(e => {
+        if ((n >= op.retries) || !isRetryable(e)) throw e
+
+        console.log(`Retrying ${url} after: ${e.message}`)
+        return wait(op.retryDelay * Math.pow(2, n), url, op.signal).then(() => attempt(n + 1))
+    })
+
+    return attempt(0)
+}
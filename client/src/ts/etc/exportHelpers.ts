@@ -0,0 +1,165 @@
+/**
+ * Helpers to save the state of the visualization to files on the user's machine
+ */
+
+const SVG_NS = "http://www.w3.org/2000/svg"
+
+// Styles that live in the stylesheets and need to be copied onto standalone SVG elements
+const INLINED_STYLES = ['fill', 'fill-opacity', 'stroke', 'stroke-width', 'stroke-opacity', 'opacity', 'visibility',
+    'font-family', 'font-size', 'font-weight']
+
+const escapeCsv = (val: any): string => {
+    const str = val == null ? '' : String(val)
+    return /[",\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str
+}
+
+/**
+ * Convert rows of values into a CSV string
+ *
+ * @param header Names of the columns
+ * @param rows Values of each row, in the order of the header
+ * @param comment Optional line to prepend, prefixed by '#'
+ */
+export function toCsv(header: string[], rows: any[][], comment?: string): string {
+    const lines = [header].concat(rows).map(row => row.map(escapeCsv).join(','))
+    if (comment != null) lines.unshift(`# ${comment}`)
+
+    return lines.join('\n')
+}
+
+/**
+ * Have the browser save content to a file
+ */
+export function download(content: string | Blob, filename: string, mimeType = 'text/plain') {
+    const blob = content instanceof Blob ? content : new Blob([content], {type: mimeType})
+    const url = URL.createObjectURL(blob)
+
+    const a = document.createElement('a')
+    a.href = url
+    a.download = filename
+    document.body.appendChild(a)
+    a.click()
+    document.body.removeChild(a)
+
+    URL.revokeObjectURL(url)
+}
+
+function inlineStyles(source: Element, target: Element) {
+    const computed = window.getComputedStyle(source)
+    const style = INLINED_STYLES.map(k => `${k}:${computed.getPropertyValue(k)}`).join(';')
+    target.setAttribute('style', style)
+
+    Array.from(source.children).forEach((child, i) => inlineStyles(child, target.children[i]))
+}
+
+/**
+ * Copy an SVG from the page with all styles from the stylesheets applied directly to its elements
+ */
+export function cloneSvg(svg: SVGSVGElement): SVGSVGElement {
+    const clone = <SVGSVGElement>svg.cloneNode(true)
+    inlineStyles(svg, clone)
+    return clone
+}
+
+/**
+ * Draw the visible SVGs and tokens inside of an HTML container into a single standalone SVG.
+ * Elements keep the positions they have on the page.
+ *
+ * @param container The HTML element to draw
+ * @param metadata Information to store with the SVG, e.g. the configuration that created it
+ */
+export function containerToSvg(container: Element, metadata?: object): SVGSVGElement {
+    const origin = container.getBoundingClientRect()
+    const out = <SVGSVGElement>document.createElementNS(SVG_NS, 'svg')
+    out.setAttribute('xmlns', SVG_NS)
+    out.setAttribute('width', String(origin.width))
+    out.setAttribute('height', String(origin.height))
+
+    if (metadata != null) {
+        const meta = document.createElementNS(SVG_NS, 'metadata')
+        meta.textContent = JSON.stringify(metadata)
+        out.appendChild(meta)
+    }
+
+    // White background so that PNGs are not transparent
+    const background = document.createElementNS(SVG_NS, 'rect')
+    background.setAttribute('width', '100%')
+    background.setAttribute('height', '100%')
+    background.setAttribute('fill', 'white')
+    out.appendChild(background)
+
+    const isVisible = (r: ClientRect) => (r.width > 0) && (r.height > 0)
+
+    Array.from(container.querySelectorAll('svg')).forEach((svg: SVGSVGElement) => {
+        const r = svg.getBoundingClientRect()
+        if (!isVisible(r)) return
+
+        const clone = cloneSvg(svg)
+        clone.setAttribute('x', String(r.left - origin.left))
+        clone.setAttribute('y', String(r.top - origin.top))
+        clone.setAttribute('width', String(r.width))
+        clone.setAttribute('height', String(r.height))
+        out.appendChild(clone)
+    })
+
+    // Tokens are HTML and need to be redrawn as SVG text
+    Array.from(container.querySelectorAll('.token')).forEach((tok: HTMLElement) => {
+        const r = tok.getBoundingClientRect()
+        if (!isVisible(r)) return
+
+        const computed = window.getComputedStyle(tok)
+        const alignRight = computed.textAlign == 'right'
+        const text = document.createElementNS(SVG_NS, 'text')
+
+        text.setAttribute('x', String((alignRight ? r.right : r.left) - origin.left))
+        text.setAttribute('y', String(r.top - origin.top + (r.height / 2)))
+        text.setAttribute('text-anchor', alignRight ? 'end' : 'start')
+        text.setAttribute('dominant-baseline', 'middle')
+        text.setAttribute('style', `font-family:${computed.fontFamily};font-size:${computed.fontSize};fill:${computed.color}`)
+        text.textContent = tok.textContent
+        out.appendChild(text)
+    })
+
+    return out
+}
+
+export function serializeSvg(svg: SVGSVGElement): string {
+    return new XMLSerializer().serializeToString(svg)
+}
+
+/**
+ * Rasterize a standalone SVG
+ *
+ * @param svg SVG with its width and height set
+ * @param scale Resolution of the PNG relative to the SVG
+ */
+export function svgToPng(svg: SVGSVGElement, scale = 2): Promise<Blob> {
+    const width = +svg.getAttribute('width')
+    const height = +svg.getAttribute('height')
+    const url = URL.createObjectURL(new Blob([serializeSvg(svg)], {type: 'image/svg+xml;charset=utf-8'}))
+
+    return new Promise((resolve, reject) => {
+        const img = new Image()
+
+        img.onload = () => {
+            const canvas = document.createElement('canvas')
+            canvas.width = width * scale
+            canvas.height = height * scale
+
+            const ctx = canvas.getContext('2d')
+            ctx.scale(scale, scale)
+            ctx.drawImage(img, 0, 0, width, height)
+            URL.revokeObjectURL(url)
+
+            // The canvas has no blob if it is empty or too large
+            canvas.toBlob(blob => blob == null ? reject(new Error("The graphic could not be encoded as a PNG")) : resolve(blob), 'image/png')
+        }
+
+        img.onerror = () => {
+            URL.revokeObjectURL(url)
+            reject(new Error("The graphic could not be drawn as an image"))
+        }
+
+        img.src = url
+    })
+}
@@ -9,11 +9,17 @@ import {AttentionWrapper} from '../data/AttentionCapsule'
 
 type AbstractAttentionResponse<T> = {
     aa: T
+
+    // Only returned when there is a second sentence
+    ab?: T
+    ba?: T
+    bb?: T
 }
 
 export type AttentionMetaMaskedResponse = AbstractAttentionResponse<AttentionMetaMaskedResult>
 export type AttentionMetaResponse = AbstractAttentionResponse<AttentionMetaResult>
 export type AttentionResponse = AbstractAttentionResponse<AttentionResult>
+export type AllLayersResponse = AbstractAttentionResponse<AllLayersResult>
 
 /**
  * ATTENTION RESULTS FROM BACKEND
@@ -53,6 +59,32 @@ export type AttentionResult = AbstractAttentionResult<SideParams>
 export type AttentionMetaResult = AbstractAttentionResult<FullSingleTokenInfo[]>
 export type AttentionMetaMaskedResult = AbstractAttentionResult<SimpleTokensInfo>
 
+// Attentions of every layer, shape [num_layers, num_heads, source_seq_len, target_seq_len]
+export type AllLayersResult = {
+    att: number[][][][],
+}
+
+/**
+ * MODEL CONFIGURATION
+ */
+
+export type SpecialTokens = {
+    cls: string,
+    sep: string,
+    mask: string,
+    pad: string,
+    unk: string,
+}
+
+export type ModelInfo = {
+    name: string,
+    nLayers: number,
+    nHeads: number,
+    hiddenSize: number,
+    specialTokens: SpecialTokens,
+    metaOptions: MetaOptions, // Tags that spacy can assign to a token
+}
+
 /**
  * SEARCH RESULT TYPES
  */
@@ -112,6 +144,7 @@ export type HeadBoxEvent = {
 export type SentenceOptions = "ab" | "ba" | "aa" | "bb" | "all";
 export type SideOptions = "left" | "right"
 export type SimpleMeta = "pos" | "dep" | "is_ent"
+export type HeadStatistic = "entropy" | "clsSep" | "prevToken" | "nextToken" | "distance"
 export type TokenOptions = "a" | "b" | "all"
 
 export enum Toggled {
@@ -1,5 +1,4 @@
 import { BertAPI } from './api/bertApi'
-import { DemoAPI } from './api/demoApi'
 import * as d3 from 'd3'
 import * as R from 'ramda'
 import * as _ from 'lodash'
@@ -136,15 +135,4 @@ export class Tester {
     //     })
 
     // }
-
-    static testReadingJSON () {
-        // console.log("RUNNING THE THING");
-        let promise = new Promise(function(resolve, reject) {
-            resolve(DemoAPI)
-          })
-
-        promise.then(x => console.log(x))
-        // console.log(DemoAPI)
-        // d3.json("demoAPI.json").then(d => console.log(Object.keys(d)))
-    }
 }
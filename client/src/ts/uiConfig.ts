@@ -14,6 +14,8 @@ type InspectorOptions = "context" | "embeddings" | null
 // Must be optional params for initializations
 interface URLParameters {
     sentence?: string
+    sentenceB?: string
+    attType?: tp.SentenceOptions
     layer?: number
     heads?: number[]
     threshold?: number
@@ -21,23 +23,29 @@ interface URLParameters {
     tokenSide?: tp.SideOptions
     metaMatch?: tp.SimpleMeta | null
     metaMax?: tp.SimpleMeta | null
+    headStat?: tp.HeadStatistic
     displayInspector?: InspectorOptions
     offsetIdxs?: number[]
     maskInds?: number[]
+    maskIndsB?: number[]
     hideClsSep?: boolean
+    compare?: boolean
+    compareSentence?: string
+    compareMaskInds?: number[]
+    session?: string // Location of a recorded session that is replayed instead of contacting the server
 }
 
 export class UIConfig {
 
     private _conf: URLParameters = {}
     private _headSet: Set<number>;
-    attType: tp.SentenceOptions;
     nHeads: number;
     private _token: tp.TokenEvent;
+    private _headsFromURL: boolean; // Whether the heads were chosen in the URL, before the defaults were written into it
 
     constructor(nHeads=12){
         this.nHeads = nHeads
-        this.attType = 'aa'; // Don't allow this to be modified by the user.
+        this._headsFromURL = URLHandler.parameters['heads'] != null
         this.fromURL()
         this.toURL(false)
     }
@@ -45,30 +53,72 @@ export class UIConfig {
 
     fromURL() {
         const params = URLHandler.parameters
+        const sentence = params['sentence'] || "The girl ran to a local pub to escape the din of her city."
+        const sentenceB = params['sentenceB'] || ""
 
         this._conf = {
-            sentence: params['sentence'] || "The girl ran to a local pub to escape the din of her city.",
+            sentence: sentence,
+            sentenceB: sentenceB,
+            // Attention involving sentence B is only available if there is a sentence B
+            attType: sentenceB.length ? (params['attType'] || 'aa') : 'aa',
             layer: params['layer'] || 0,
             heads: this._initHeads(params['heads']),
             threshold: params['threshold'] || 0.7,
             tokenInd: params['tokenInd'] || null,
             tokenSide: params['tokenSide'] || null,
             maskInds: params['maskInds'] || [9],
+            maskIndsB: params['maskIndsB'] || [],
             metaMatch: params['metaMatch'] || "pos",
             metaMax: params['metaMax'] || "pos",
+            headStat: params['headStat'] || "entropy",
             displayInspector: params['displayInspector'] || null,
             offsetIdxs: this._initOffsetIdxs(params['offsetIdxs']),
             hideClsSep: truthy(params['hideClsSep']) || true,
+            compare: truthy(params['compare'] || false),
+            compareSentence: params['compareSentence'] || sentence,
+            compareMaskInds: params['compareMaskInds'] || [],
+            session: params['session'], // Left out of the URL when undefined
         }
 
         this._token = {side: this._conf.tokenSide, ind: this._conf.tokenInd}
 
     }
 
+    /**
+     * Size the configuration to the model on the server. Heads and layers that the model does not have are dropped.
+     */
+    fitModel(info: tp.ModelInfo) {
+        this.fitHeads(info.nHeads)
+
+        if (this.layer() >= info.nLayers) this.layer(info.nLayers - 1)
+
+        return this
+    }
+
+    /**
+     * Size the head selection to a model with `nHeads` heads. Heads chosen in the URL are kept if the model has them,
+     * otherwise every head is selected.
+     */
+    fitHeads(nHeads: number) {
+        this.nHeads = nHeads
+
+        if (!this._headsFromURL) this.selectAllHeads()
+        else this.headSet(new Set(this.heads().filter(h => h < this.nHeads)))
+
+        return this
+    }
+
     toURL(updateHistory=false) {
         URLHandler.updateUrl(this._conf, updateHistory)
     }
 
+    /**
+     * A copy of the current state, used to make exports reproducible
+     */
+    toJSON(): URLParameters {
+        return R.clone(this._conf)
+    }
+
     private _initOffsetIdxs(v:(string | number)[] | null) {
         if (v == null) {
             return [-1, 0, 1]
@@ -169,6 +219,28 @@ export class UIConfig {
         return this
     }
 
+    sentenceB(): string;
+    sentenceB(val:string): this;
+    sentenceB(val?) {
+        if (val == null)
+            return this._conf.sentenceB
+
+        this._conf.sentenceB = val
+        this.toURL(true)
+        return this
+    }
+
+    attType(): tp.SentenceOptions;
+    attType(val:tp.SentenceOptions): this;
+    attType(val?) {
+        if (val == null)
+            return this._conf.attType
+
+        this._conf.attType = val
+        this.toURL()
+        return this
+    }
+
     threshold(): number;
     threshold(val: number): this;
     threshold(val?) {
@@ -227,6 +299,16 @@ export class UIConfig {
         return this;
     }
 
+    headStat(): tp.HeadStatistic;
+    headStat(val: tp.HeadStatistic): this;
+    headStat(val?) {
+        if (val == null) return this._conf.headStat;
+
+        this._conf.headStat = val;
+        this.toURL();
+        return this;
+    }
+
     maskInds(): number[];
     maskInds(val: number[]): this;
     maskInds(val?) {
@@ -237,6 +319,16 @@ export class UIConfig {
         return this;
     }
 
+    maskIndsB(): number[];
+    maskIndsB(val: number[]): this;
+    maskIndsB(val?) {
+        if (val == null) return this._conf.maskIndsB;
+
+        this._conf.maskIndsB = val;
+        this.toURL();
+        return this;
+    }
+
     displayInspector(): InspectorOptions;
     displayInspector(val: InspectorOptions): this;
     displayInspector(val?) {
@@ -268,4 +360,38 @@ export class UIConfig {
         this.toURL();
         return this;
     }
+
+    compare(): boolean;
+    compare(val: boolean): this;
+    compare(val?) {
+        if (val == null) return this._conf.compare;
+
+        this._conf.compare = truthy(val);
+        this.toURL();
+        return this;
+    }
+
+    compareSentence(): string;
+    compareSentence(val: string): this;
+    compareSentence(val?) {
+        if (val == null) return this._conf.compareSentence;
+
+        this._conf.compareSentence = val;
+        this.toURL(true);
+        return this;
+    }
+
+    compareMaskInds(): number[];
+    compareMaskInds(val: number[]): this;
+    compareMaskInds(val?) {
+        if (val == null) return this._conf.compareMaskInds;
+
+        this._conf.compareMaskInds = val;
+        this.toURL();
+        return this;
+    }
+
+    session(): string {
+        return this._conf.session
+    }
 }
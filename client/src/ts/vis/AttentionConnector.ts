@@ -48,7 +48,8 @@ export class AttentionGraph extends VComponent<AttentionData>{
     }
 
     _init() {
-        this.svg = this.parent;
+        this.svg = this.parent
+            .attr("role", "img");
         this.graph = this.svg.selectAll(`.atn-curve`);
         this.linkGen = d3.linkHorizontal()
             .x(d => d[0])
@@ -120,12 +121,14 @@ export class AttentionGraph extends VComponent<AttentionData>{
      */
     private updateData = () => {
         if (this.graph != null) {
-            d3.selectAll(".atn-curve").remove();
+            this.svg.selectAll(".atn-curve").remove();
 
             this.paths = this.graph
                 .data(this.plotData)
                 .join('path');
 
+            this.svg.attr("aria-label", `Attention between ${this._data.length} tokens, ${this.plotData.length} connections shown`)
+
                 this.createConnections();
                 this.updateOpacity();
             
@@ -67,7 +67,9 @@ export class CorpusHistogram<T> extends VComponent<T> {
 
     css_name = ''
 
-    static events = {}
+    static events = {
+        barClick: "CorpusHistogram_BarClick",
+    }
 
     _current = {
         chart: {
@@ -88,6 +90,8 @@ export class CorpusHistogram<T> extends VComponent<T> {
         xLabelRot: number
         xLabelOffset: number
         yLabelOffset: number
+        name: string // Identifies the histogram in its events
+        selected: {[meta: string]: string[]} // Labels of the bars to highlight, by meta information
     }
 
     axes = {
@@ -112,9 +116,10 @@ export class CorpusHistogram<T> extends VComponent<T> {
             xLabelRot: 45,
             xLabelOffset: 15,
             yLabelOffset: 5,
-
+            name: "",
+            selected: {},
         }
-        this.superInitSVG()
+        this.superInitSVG(options)
     }
 
     meta():MatchedMetaSelections
@@ -130,6 +135,24 @@ export class CorpusHistogram<T> extends VComponent<T> {
         return this;
     }
 
+    /**
+     * Highlight the bars with these labels, e.g. those used to filter the results
+     */
+    selected():{[meta: string]: string[]}
+    selected(val:{[meta: string]: string[]}): this
+    selected(val?) {
+        if (val == null) {
+            return this.options.selected;
+        }
+
+        this.options.selected = val;
+        const labels = val[this.options.val] || []
+        this.base.selectAll(".bar")
+            .classed("selected-bar", (d: CountedHist) => R.includes(d.label, labels))
+
+        return this;
+    }
+
     _init() {}
 
     private createXAxis() {
@@ -249,5 +272,9 @@ export class CorpusHistogram<T> extends VComponent<T> {
             .attr("width", self.axes.x.bandwidth())
             .attr("height", function(d) { return curr.chart.height - self.axes.y(d.count); })
             .style('fill', k => spacyColors.colorScale[op.val](k.label))
+            .classed("selected-bar", d => R.includes(d.label, op.selected[op.val] || []))
+            .on("click", d => {
+                self.eventHandler.trigger(CorpusHistogram.events.barClick, {histogram: op.name, meta: op.val, label: d.label})
+            })
     }
 }
@@ -0,0 +1,211 @@
+import * as d3 from "d3";
+import * as _ from "lodash"
+import * as tp from "../etc/types"
+import {VComponent} from "./VisComponent";
+import {SimpleEventHandler} from "../etc/SimpleEventHandler";
+import {D3Sel} from "../etc/Util";
+import {SVG} from "../etc/SVGplus"
+
+export type HeadSummaryI = {
+    rows: number[][], // One row per layer, one value per head
+    label: string, // Description of the values, shown when hovering a cell
+    min: number,
+    max: number,
+}
+
+export const headStatDescriptions: {[k in tp.HeadStatistic]: string} = {
+    entropy: "Entropy",
+    clsSep: "Attention to special tokens",
+    prevToken: "Attention to previous token",
+    nextToken: "Attention to next token",
+    distance: "Mean distance attended",
+}
+
+const normalize = (row: number[]) => {
+    const total = _.sum(row)
+    return total > 0 ? row.map(v => v / total) : row
+}
+
+/**
+ * Summarize how one token attends to the other tokens
+ *
+ * @param row Attention from the token at index `i` to every token
+ * @param i Index of the token
+ * @param isSpecial Whether each target token is a special token, e.g. [CLS] or [SEP]
+ */
+const rowStatistics: {[k in tp.HeadStatistic]: (row: number[], i: number, isSpecial: boolean[]) => number} = {
+    // Rows of a sentence pair do not sum to 1 because part of the attention goes to the other sentence
+    entropy: (row) => -_.sum(normalize(row).map(p => p > 0 ? p * Math.log2(p) : 0)),
+    clsSep: (row, i, isSpecial) => _.sum(row.filter((v, j) => isSpecial[j])),
+    prevToken: (row, i) => i > 0 ? row[i - 1] : 0,
+    nextToken: (row, i) => i < row.length - 1 ? row[i + 1] : 0,
+    distance: (row, i) => _.sum(normalize(row).map((p, j) => p * Math.abs(i - j))),
+}
+
+/**
+ * From the attentions of every layer, compute a single statistic for each head by averaging over the source tokens.
+ *
+ * @param allAtt Attentions of shape [layers, heads, source tokens, target tokens]
+ * @param targetTokens Text of the tokens being attended to
+ * @param stat The statistic to compute
+ * @param specialTokens Tokens counted by the `clsSep` statistic
+ * @returns Information needed to draw the matrix
+ */
+export function getHeadSummary(allAtt: number[][][][], targetTokens: string[], stat: tp.HeadStatistic, specialTokens = ["[CLS]", "[SEP]"]): HeadSummaryI {
+    const isSpecial = targetTokens.map(t => _.includes(specialTokens, t))
+    const f = rowStatistics[stat]
+
+    const rows = allAtt.map(layer => layer.map(head => _.mean(head.map((row, i) => f(row, i, isSpecial)))))
+    const values = _.flatten(rows)
+
+    return {
+        rows: rows,
+        label: headStatDescriptions[stat],
+        min: _.min(values),
+        max: _.max(values),
+    }
+}
+
+interface CurrentOptions {
+    width: number
+    height: number
+}
+
+/**
+ * Grid of every layer (rows) and head (columns) colored by a summary statistic of the head's attention
+ */
+export class HeadSummaryMatrix extends VComponent<HeadSummaryI>{
+    css_name = 'head-summary';
+    cellCssName = 'head-summary-cell';
+
+    static events = {
+        cellClick: "HeadSummaryMatrix_CellClick",
+    };
+
+    _data: HeadSummaryI;
+
+    _current: Partial<CurrentOptions> = {}
+
+    options = {
+        cellDim: 18,
+        labelPad: 25, // Space for the layer and head labels
+    };
+
+    // D3 Components
+    cells: D3Sel;
+    colorScale: d3.ScaleSequential<string>;
+
+    // Selection to highlight
+    protected _layer: number = 0;
+    protected _heads: number[] = [];
+
+    constructor(d3Parent: D3Sel, eventHandler?:SimpleEventHandler, options: {} = {}) {
+        super(d3Parent, eventHandler);
+        this.superInitSVG(options);
+        this._init()
+    }
+
+    _init() {
+        this.colorScale = d3.scaleSequential(d3.interpolateBlues)
+    }
+
+    /**
+     * Highlight the current layer and the selected heads inside of it
+     */
+    selected(layer: number, heads: number[]) {
+        this._layer = layer
+        this._heads = heads
+
+        if (this._data != null) this.updateSelection()
+        return this
+    }
+
+    private updateSelection() {
+        const headSet = new Set(this._heads)
+
+        this.base.selectAll('.layer-label')
+            .classed('selected-layer', (d: number) => d == this._layer)
+
+        this.cells
+            .classed('selected-layer', (d: {layer: number}) => d.layer == this._layer)
+            .classed('selected-head', (d: {layer: number, head: number}) => (d.layer == this._layer) && headSet.has(d.head))
+    }
+
+    private updateData() {
+        const op = this.options;
+        const self = this;
+        const cur = this._current;
+        const nLayers = this._data.rows.length
+        const nHeads = nLayers > 0 ? this._data.rows[0].length : 0
+        const cellEvent = (d) => { return {layer: d.layer, head: d.head, value: d.value, shiftKey: d3.event.shiftKey} }
+
+        cur.width = op.labelPad + (nHeads * op.cellDim)
+        cur.height = op.labelPad + (nLayers * op.cellDim)
+
+        this.base.html('');
+
+        this.parent
+            .attr("width", cur.width)
+            .attr("height", cur.height)
+
+        this.base.selectAll('.head-label')
+            .data(_.range(0, nHeads))
+            .join('text')
+            .attrs({
+                class: 'head-label',
+                x: h => op.labelPad + (h + 0.5) * op.cellDim,
+                y: op.labelPad - 5,
+                'text-anchor': 'middle',
+            })
+            .text(h => h)
+
+        this.base.selectAll('.layer-label')
+            .data(_.range(0, nLayers))
+            .join('text')
+            .attrs({
+                class: 'layer-label',
+                x: op.labelPad - 5,
+                y: l => op.labelPad + (l + 0.5) * op.cellDim,
+                'text-anchor': 'end',
+                'dominant-baseline': 'middle',
+            })
+            .text(l => l)
+
+        const cellData = _.flatMap(this._data.rows, (row, l) => row.map((v, h) => {
+            return {layer: l, head: h, value: v}
+        }))
+
+        this.cells = this.base
+            .append('g')
+            .attr('transform', SVG.translate({x: op.labelPad, y: op.labelPad}))
+            .selectAll(`.${this.cellCssName}`)
+            .data(cellData)
+            .join('rect')
+            .attrs({
+                class: this.cellCssName,
+                x: d => d.head * op.cellDim,
+                y: d => d.layer * op.cellDim,
+                width: op.cellDim,
+                height: op.cellDim,
+                fill: d => this.colorScale(d.value),
+            })
+            .on("click", (d) => {
+                self.eventHandler.trigger(HeadSummaryMatrix.events.cellClick, cellEvent(d))
+            })
+
+        this.cells.append("svg:title")
+            .text(d => `Layer ${d.layer}, Head ${d.head}\n${this._data.label}: ${d.value.toFixed(3)}`)
+
+        this.updateSelection()
+    }
+
+    _wrangle(data: HeadSummaryI) {
+        this._data = data;
+        this.colorScale = this.colorScale.domain([data.min, data.max])
+        return data;
+    }
+
+    _render(data: HeadSummaryI) {
+        this.updateData();
+    }
+}
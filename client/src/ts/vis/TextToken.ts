@@ -20,6 +20,8 @@ export abstract class TextTokens extends VComponent<tp.FullSingleTokenInfo[]>{
         tokenMouseOut: "TextToken_TokenMouseOut",
         tokenClick: "TextToken_TokenClick",
         tokenDblClick: "TextToken_TokenDblClick",
+        tokenFocus: "TextToken_TokenFocus",
+        tokenSideChange: "TextToken_TokenSideChange", // Left or right arrow key on a token
     };
 
     data: tp.FullSingleTokenInfo[];
@@ -28,6 +30,7 @@ export abstract class TextTokens extends VComponent<tp.FullSingleTokenInfo[]>{
 
     options = {
         boxheight: 26,
+        idPrefix: '', // Keeps token ids unique when the same side is displayed more than once
     };
     totalHeight: number;
 
@@ -41,9 +44,66 @@ export abstract class TextTokens extends VComponent<tp.FullSingleTokenInfo[]>{
             .each((d,i,n) => {
                 const sel = d3.select(n[i])
                 sel.classed("masked-token", _.includes(maskInds, i))
+                    .attr("aria-label", this.ariaLabel(<tp.FullSingleTokenInfo>d, i))
         })
     }
 
+    /**
+     * Move the keyboard focus to a token. Only the focused token can be reached with the tab key
+     */
+    focus(ind:number) {
+        const tokens = this.base.selectAll(`.${this.css_name}`)
+        const i = _.clamp(ind, 0, tokens.size() - 1)
+
+        tokens.attr("tabindex", (d, j) => j == i ? 0 : -1)
+        const node = <HTMLElement>tokens.nodes()[i]
+        if (node != null) node.focus()
+        return this
+    }
+
+    private ariaLabel(d:tp.FullSingleTokenInfo, i:number) {
+        const masked = this.isMasked(i) ? ", masked" : ""
+        return `${d.text}, ${this.side} token ${i + 1} of ${this._data.length}${masked}`
+    }
+
+    private isMasked(i:number) {
+        return this.base.select(`.token-${i}`).classed("masked-token")
+    }
+
+    private lock(d:tp.FullSingleTokenInfo, i:number) {
+        this.eventHandler.trigger(TextTokens.events.tokenClick, this.eEmbedding(i, d.embeddings))
+    }
+
+    private toggleMask(d:tp.FullSingleTokenInfo, i:number, node:HTMLElement) {
+        const sel = d3.select(node);
+        sel.classed("masked-token", !sel.classed("masked-token"));
+        sel.attr("aria-label", this.ariaLabel(d, i))
+        this.eventHandler.trigger(TextTokens.events.tokenDblClick, this.eInfo(i))
+    }
+
+    /**
+     * Up and down arrows step through the tokens, enter or space locks a token, and 'm' toggles its mask
+     */
+    private onKeyDown(d:tp.FullSingleTokenInfo, i:number, node:HTMLElement) {
+        const e = <KeyboardEvent>d3.event
+        const actions = {
+            ArrowUp: () => this.focus(i - 1),
+            ArrowDown: () => this.focus(i + 1),
+            Home: () => this.focus(0),
+            End: () => this.focus(this._data.length - 1),
+            ArrowLeft: () => this.eventHandler.trigger(TextTokens.events.tokenSideChange, this.eInfo(i)),
+            ArrowRight: () => this.eventHandler.trigger(TextTokens.events.tokenSideChange, this.eInfo(i)),
+            Enter: () => this.lock(d, i),
+            " ": () => this.lock(d, i),
+            m: () => this.toggleMask(d, i, node),
+        }
+
+        if (e.ctrlKey || e.metaKey || e.altKey || !(e.key in actions)) return
+        e.preventDefault()
+        e.stopPropagation()
+        actions[e.key]()
+    }
+
     getEmbedding(ind:number):tp.FullSingleTokenInfo {
         return this._data[ind]
     }
@@ -65,7 +125,10 @@ export abstract class TextTokens extends VComponent<tp.FullSingleTokenInfo[]>{
             .data(data)
             .join("div")
             .attr("class", (d, i) => `token ${this.css_name} token-${i}`)
-            .attr("id", (d, i) => `${this.css_name}-${i}`)
+            .attr("id", (d, i) => `${op.idPrefix}${this.css_name}-${i}`)
+            .attr("role", "button")
+            .attr("tabindex", (d, i) => i == 0 ? 0 : -1)
+            .attr("aria-label", (d, i) => this.ariaLabel(d, i))
             .style('height', op.boxheight + 'px')
             .text((d) => {return d.text})
             .on('mouseover', function(d, i) {
@@ -79,13 +142,19 @@ export abstract class TextTokens extends VComponent<tp.FullSingleTokenInfo[]>{
                 self.eventHandler.trigger(TextTokens.events.tokenMouseOut, self.eInfo(i))
             })
             .on('click', (d, i, n) => {
-                const sel = d3.select(n[i]);
-                self.eventHandler.trigger(TextTokens.events.tokenClick, self.eEmbedding(i, d.embeddings))
+                self.lock(d, i)
             })
             .on('dblclick', (d, i, n) => {
-                const sel = d3.select(n[i]);
-                sel.classed("masked-token", !sel.classed("masked-token"));
-                self.eventHandler.trigger(TextTokens.events.tokenDblClick, self.eInfo(i))
+                self.toggleMask(d, i, <HTMLElement>n[i])
+            })
+            .on('focus', (d, i) => {
+                self.eventHandler.trigger(TextTokens.events.tokenFocus, self.eInfo(i))
+            })
+            .on('blur', (d, i) => {
+                self.eventHandler.trigger(TextTokens.events.tokenMouseOut, self.eInfo(i))
+            })
+            .on('keydown', (d, i, n) => {
+                self.onKeyDown(d, i, <HTMLElement>n[i])
             });
     }
 }
@@ -96,7 +165,7 @@ export class LeftTextToken extends TextTokens {
     side:tp.SideOptions = 'left'
 
     constructor(d3Parent: D3Sel, eventHandler?:SimpleEventHandler, options: {} = {}) {
-        super(d3Parent, eventHandler);
+        super(d3Parent, eventHandler, options);
     }
 
 
@@ -107,6 +176,6 @@ export class RightTextToken extends TextTokens {
     side:tp.SideOptions = 'right'
 
     constructor(d3Parent: D3Sel, eventHandler?:SimpleEventHandler, options: {} = {}) {
-        super(d3Parent, eventHandler);
+        super(d3Parent, eventHandler, options);
     }
 }
@@ -7,17 +7,25 @@ import {BertAPI} from '../api/bertApi'
 import {UIConfig} from '../uiConfig'
 import {TextTokens, LeftTextToken, RightTextToken} from './TextToken'
 import {AttentionHeadBox, getAttentionInfo} from './AttentionHeadBox'
+import {HeadSummaryMatrix, getHeadSummary, headStatDescriptions} from './HeadSummaryMatrix'
 import {AttentionGraph} from './AttentionConnector'
 import {CorpusInspector} from './CorpusInspector'
-import {TokenWrapper, sideToLetter} from '../data/TokenWrapper'
+import {TokenWrapper, TokenDisplay, sideToLetter} from '../data/TokenWrapper'
 import {AttentionWrapper, makeFromMetaResponse} from '../data/AttentionCapsule'
 import {SimpleEventHandler} from '../etc/SimpleEventHandler'
 import {CorpusMatManager} from '../vis/CorpusMatManager'
 import {CorpusHistogram} from '../vis/CorpusHistogram'
-import {FaissSearchResultWrapper} from '../data/FaissSearchWrapper'
+import {BatchAttentionWrapper, BatchSentence, RelationMeta, RelationShares} from '../data/BatchWrapper'
+import {FaissSearchResultWrapper, getMaxToken, emptyQuery, ResultQuery, ResultFilter, ResultFilterTarget, ResultSortOptions} from '../data/FaissSearchWrapper'
 import {D3Sel, Sel} from '../etc/Util';
-import {from, fromEvent, interval} from 'rxjs'
-import {switchMap, map, tap} from 'rxjs/operators'
+import * as ex from '../etc/exportHelpers'
+import {URLHandler} from '../etc/URLHandler'
+import {SessionBundle, LOCAL_SESSION} from '../api/responseCache'
+import {spacyColors} from '../etc/SpacyInfo'
+import {ApiError, AbortError} from '../etc/apiHelpers'
+import {RequestStatus} from '../etc/RequestStatus'
+import {EMPTY, from, fromEvent, interval, merge, Subject} from 'rxjs'
+import {switchMap, map, tap, filter, catchError} from 'rxjs/operators'
 import {BaseType} from "d3";
 import {SimpleMeta} from "../etc/types";
 import ChangeEvent = JQuery.ChangeEvent;
@@ -68,18 +76,109 @@ function setSelDisabled(attr: boolean, sel: D3Sel) {
     sel.attr('disabled', val)
 }
 
+/**
+ * Last handler of a chain of requests. The panel of the request already shows the error, so only restore the cursor.
+ * A cancelled request leaves the cursor to the request that replaced it.
+ */
+function requestFailed(e: Error) {
+    if (e instanceof AbortError) return
+    if (!(e instanceof ApiError)) console.error(e)
+    d3.select('body').style('cursor', 'default')
+}
+
+const onEnter = R.curry((keyCode, f, event) => {
+    const e = event || window.event;
+    if (e.keyCode !== keyCode) return;
+    e.preventDefault();
+    f();
+})
+
+/**
+ * Describe in words which tokens a token attends to the most, or is attended by the most if it is on the right side
+ *
+ * @param att Attention from the left tokens (rows) to the right tokens (columns)
+ * @param e The described token
+ * @param left Text of the left tokens
+ * @param right Text of the right tokens
+ * @param k Number of tokens to name
+ */
+function describeTopAttended(att: number[][], e: tp.TokenEvent, left: string[], right: string[], k = 3) {
+    const isLeft = e.side == "left"
+    const values = isLeft ? att[e.ind] : att.map(row => row[e.ind])
+    const others = isLeft ? right : left
+    const text = (isLeft ? left : right)[e.ind]
+    const total = _.sum(values)
+
+    const top = _.take(_.sortBy(values.map((v, i) => ({text: others[i], value: v})), d => -d.value), k)
+        .filter(d => d.value > 0)
+
+    if (top.length == 0) return `"${text}" has no visible attention`
+
+    const direction = isLeft ? "attends most to" : "is attended most by"
+    const parts = top.map(d => `"${d.text}" ${Math.round(100 * d.value / total)}%`)
+    return `"${text}" ${direction} ${parts.join(", ")}`
+}
+
+/**
+ * Flatten the tokens and their metadata into records that can be exported
+ */
+function tokenRecords(tokens: TokenDisplay) {
+    return tokens.tokenData.map((t, i) => {
+        return {
+            index: i,
+            text: t.text,
+            pos: t.bpe_pos,
+            dep: t.bpe_dep,
+            is_ent: t.bpe_is_ent,
+            masked: _.includes(tokens.maskInds, i),
+            embeddings: t.embeddings,
+            contexts: t.contexts,
+        }
+    })
+}
+
+/**
+ * Label the tokens of the difference view. Tokens that differ between the two configurations are shown as "a → b"
+ */
+function diffTokenData(base: tp.FullSingleTokenInfo[], other: tp.FullSingleTokenInfo[]): tp.FullSingleTokenInfo[] {
+    return base.map((tok, i) => {
+        const otherText = other[i].text
+        return otherText == tok.text ? tok : R.assoc('text', `${tok.text} → ${otherText}`, tok)
+    })
+}
+
 export class MainGraphic {
     api: BertAPI
     uiConf: UIConfig
+    modelInfo: tp.ModelInfo             // Configuration of the model on the server. Null if the server does not report it
     attCapsule: AttentionWrapper
     tokCapsule: TokenWrapper
+    cmpAttCapsule: AttentionWrapper     // Attention of the configuration to compare against
+    cmpTokCapsule: TokenWrapper
+    cmpSentences: string[]              // Sentences A and B that the comparison was loaded from
+    diffAttCapsule: AttentionWrapper    // Absolute difference between the two configurations. Null if incomparable
+    searchResults: tp.FaissSearchResults[] // Results of the latest corpus search
+    resultQuery: ResultQuery = emptyQuery() // Filters and order of the displayed search results
+    allLayerAtt: tp.AllLayersResponse   // Attentions of every layer for the head summary
+    layerRequests = new Subject<number>() // Layer changes that do not come from the layer checkboxes
+    batch: BatchAttentionWrapper        // Sentences of the batch analysis. Null until a batch is analyzed
+    batchTarget: string                 // Category whose share of attention is shown for every head of the batch
+    status: {attention: RequestStatus, headSummary: RequestStatus, inspector: RequestStatus} // Loading and error states of the panels
     sels: any                           // Contains initial d3 selections of objects
     vizs: any                           // Contains vis components wrapped around parent sel
     eventHandler: SimpleEventHandler    // Orchestrates events raised from components
+    cmpEventHandler: SimpleEventHandler // Orchestrates events raised from the comparison view
+    diffEventHandler: SimpleEventHandler // Orchestrates events raised from the difference view
+    batchEventHandler: SimpleEventHandler // Orchestrates events raised from the batch analysis
 
     constructor() {
         this.api = new BertAPI()
         this.uiConf = new UIConfig()
+        this.status = {
+            attention: new RequestStatus(d3.select('#attention-status'), d3.select('#atn-container')),
+            headSummary: new RequestStatus(d3.select('#head-summary-status'), d3.select('#head-summary-matrix')),
+            inspector: new RequestStatus(d3.select('#inspector-status'), d3.select('#main-corpus-vis')),
+        }
         this._mainInit();
     }
 
@@ -88,9 +187,24 @@ export class MainGraphic {
      */
     private _mainInit() {
 
-        this.api.getMetaAttentions(this.uiConf.sentence(), this.uiConf.layer()).then(attention => {
-            this.uiConf.nHeads = attention[this.uiConf.attType].att.length // To verify that the default 12 is correct
+        this.api.getModelInfo().catch(e => {
+            console.warn("The server did not report its model configuration, assuming BERT-base: ", e)
+            return null
+        }).then(info => {
+            this.modelInfo = info
+            if (info != null) {
+                this.api.cache.model(info.name)
+                this.uiConf.fitModel(info)
+                spacyColors.setMetaOptions(info.metaOptions)
+            }
+
+            return this.status.attention.latest('sentence', signal => this.api.getMetaAttentions(this.uiConf.sentence(), this.uiConf.layer(), this.uiConf.sentenceB(), signal))
+        }).then(attention => {
+            // Without the model configuration, the model is sized from the attentions it returns
+            if (this.modelInfo == null) this.uiConf.fitHeads(attention.aa.att.length)
             this._init(attention)
+            if (this.modelInfo == null) this.attCapsule.nHeads = attention.aa.att.length
+            this._checkModelShape("heads", this.attCapsule.nHeads, attention.aa.att.length)
 
             // Wrap postInit into function so asynchronous call does not mess with necessary inits
             const postInit = () => {
@@ -104,25 +218,29 @@ export class MainGraphic {
                 } else if (toDisplay == 'embeddings') {
                     this._queryEmbeddings()
                 }
+
+                this._updateComparison()
+                this._fetchAllLayers()
             }
 
-            if (this.uiConf.maskInds().length > 0) {
+            if ((this.uiConf.maskInds().length > 0) || (this.uiConf.maskIndsB().length > 0)) {
                 this.tokCapsule.a.maskInds = this.uiConf.maskInds()
-                this.api.updateMaskedMetaAttentions(this.tokCapsule.a, this.uiConf.layer()).then(r => {
+                if (this.tokCapsule.hasB) this.tokCapsule.b.maskInds = this.uiConf.maskIndsB()
+                this.status.attention.latest('masking', signal => this.api.updateMaskedMetaAttentions(this.tokCapsule.a, this.uiConf.layer(), this.tokCapsule.b, signal)).then(r => {
                     this.attCapsule.updateFromMasking(r, this.uiConf.hideClsSep()); // Suspicious...
                     this.tokCapsule.updateEmbeddingsFromMasking(r)
                     this.update()
                     postInit()
-                })
+                }).catch(requestFailed)
             } else {
                 this.update()
                 postInit()
             }
-        });
+        }).catch(requestFailed);
     }
 
     private _init(attention: tp.AttentionMetaResponse) {
-        this.attCapsule = makeFromMetaResponse(attention, this.uiConf.hideClsSep())
+        this.attCapsule = makeFromMetaResponse(attention, this.uiConf.hideClsSep(), this.uiConf.attType(), this.modelInfo)
         this.tokCapsule = new TokenWrapper(attention);
 
         this.sels = {
@@ -135,6 +253,7 @@ export class MainGraphic {
             },
             form: {
                 sentenceA: d3.select("#form-sentence-a"),
+                sentenceB: d3.select("#form-sentence-b"),
                 button: d3.select("#update-sentence"),
             },
             tokens: {
@@ -142,7 +261,18 @@ export class MainGraphic {
                 right: d3.select("#right-tokens"),
             },
             clsToggle: d3.select("#cls-toggle").select(".switch"),
+            clsToggleDescription: d3.select("#cls-toggle").select(".input-description"),
+            srSummary: d3.select("#attention-summary"),
+            model: {
+                name: d3.select("#model-name"),
+                warning: d3.select("#model-warning"),
+            },
             layerCheckboxes: d3.select("#layer-select"),
+            attTypeSelector: d3.select("#att-type-select"),
+            headSummary: {
+                statSelect: d3.select("#head-stat-select"),
+                matrix: d3.select("#head-summary-matrix"),
+            },
             headCheckboxes: d3.select("#head-select"),
             contextQuery: d3.select("#search-contexts"),
             embeddingQuery: d3.select("#search-embeddings"),
@@ -157,6 +287,25 @@ export class MainGraphic {
                 matchedWord: d3.select("#matched-histogram-container"),
                 maxAtt: d3.select("#max-att-histogram-container"),
             },
+            batch: {
+                container: d3.select("#batch-analysis"),
+                sentences: d3.select("#batch-sentences"),
+                file: d3.select("#batch-file"),
+                run: d3.select("#batch-run"),
+                status: d3.select("#batch-status"),
+                sourceMeta: d3.select("#batch-source-meta"),
+                source: d3.select("#batch-source"),
+                targetMeta: d3.select("#batch-target-meta"),
+                histogram: d3.select("#batch-histogram"),
+                description: d3.select("#batch-target-description"),
+                matrix: d3.select("#batch-head-matrix"),
+            },
+            resultQuery: {
+                text: d3.select("#result-filter-text"),
+                sort: d3.select("#result-sort"),
+                filters: d3.select("#result-filters"),
+                count: d3.select("#result-count"),
+            },
             buttons: {
                 killLeft: d3.select("#kill-left"),
                 addLeft: d3.select("#minus-left"),
@@ -167,10 +316,50 @@ export class MainGraphic {
             metaSelector: {
                 matchedWord: d3.select("#matched-meta-select"),
                 maxAtt: d3.select("#max-att-meta-select")
-            }
+            },
+            compare: {
+                container: d3.select("#compare-container"),
+                toggle: d3.select("#compare-toggle").select(".switch"),
+                sentence: d3.select("#form-sentence-compare"),
+                button: d3.select("#update-compare"),
+                atnDisplay: d3.select("#cmp-atn-display"),
+                tokens: {
+                    left: d3.select("#cmp-left-tokens"),
+                    right: d3.select("#cmp-right-tokens"),
+                },
+                diff: {
+                    container: d3.select("#diff-atn-container"),
+                    message: d3.select("#diff-message"),
+                    atnDisplay: d3.select("#diff-atn-display"),
+                    atnHeads: {
+                        left: d3.select("#diff-left-att-heads"),
+                        right: d3.select("#diff-right-att-heads"),
+                    },
+                    tokens: {
+                        left: d3.select("#diff-left-tokens"),
+                        right: d3.select("#diff-right-tokens"),
+                    },
+                },
+            },
+            export: {
+                dataSelect: d3.select("#export-data-select"),
+                graphicSelect: d3.select("#export-graphic-select"),
+                json: d3.select("#export-json"),
+                csv: d3.select("#export-csv"),
+                svg: d3.select("#export-svg"),
+                png: d3.select("#export-png"),
+                status: d3.select("#export-status"),
+                session: d3.select("#export-session"),
+                replayFile: d3.select("#replay-session-file"),
+                leaveReplay: d3.select("#leave-replay"),
+                replayStatus: d3.select("#replay-status"),
+            },
         }
 
         this.eventHandler = new SimpleEventHandler(<Element>this.sels.body.node());
+        this.cmpEventHandler = new SimpleEventHandler(<Element>this.sels.compare.container.node());
+        this.diffEventHandler = new SimpleEventHandler(<Element>this.sels.compare.diff.container.node());
+        this.batchEventHandler = new SimpleEventHandler(<Element>this.sels.batch.container.node());
 
         this.vizs = {
             leftHeads: new AttentionHeadBox(this.sels.atnHeads.left, this.eventHandler, {side: "left"}),
@@ -180,11 +369,32 @@ export class MainGraphic {
                 right: new RightTextToken(this.sels.tokens.right, this.eventHandler),
             },
             attentionSvg: new AttentionGraph(this.sels.atnDisplay, this.eventHandler),
+            headSummary: new HeadSummaryMatrix(this.sels.headSummary.matrix, this.eventHandler),
             corpusInspector: new CorpusInspector(this.sels.corpusInspector, this.eventHandler),
             corpusMatManager: new CorpusMatManager(this.sels.corpusMatManager, this.eventHandler, {idxs: this.uiConf.offsetIdxs()}),
             histograms: {
-                matchedWord: new CorpusHistogram(this.sels.histograms.matchedWord, this.eventHandler),
-                maxAtt: new CorpusHistogram(this.sels.histograms.maxAtt, this.eventHandler),
+                matchedWord: new CorpusHistogram(this.sels.histograms.matchedWord, this.eventHandler, {name: "matched"}),
+                maxAtt: new CorpusHistogram(this.sels.histograms.maxAtt, this.eventHandler, {name: "maxAtt"}),
+            },
+            batch: {
+                histogram: new CorpusHistogram(this.sels.batch.histogram, this.batchEventHandler, {name: "batch"}),
+                matrix: new HeadSummaryMatrix(this.sels.batch.matrix, this.batchEventHandler),
+            },
+            compare: {
+                attentionSvg: new AttentionGraph(this.sels.compare.atnDisplay, this.cmpEventHandler),
+                tokens: {
+                    left: new LeftTextToken(this.sels.compare.tokens.left, this.cmpEventHandler, {idPrefix: "cmp-"}),
+                    right: new RightTextToken(this.sels.compare.tokens.right, this.cmpEventHandler, {idPrefix: "cmp-"}),
+                },
+                diff: {
+                    leftHeads: new AttentionHeadBox(this.sels.compare.diff.atnHeads.left, this.diffEventHandler, {side: "left"}),
+                    rightHeads: new AttentionHeadBox(this.sels.compare.diff.atnHeads.right, this.diffEventHandler, {side: "right"}),
+                    attentionSvg: new AttentionGraph(this.sels.compare.diff.atnDisplay, this.diffEventHandler),
+                    tokens: {
+                        left: new LeftTextToken(this.sels.compare.diff.tokens.left, this.diffEventHandler, {idPrefix: "diff-"}),
+                        right: new RightTextToken(this.sels.compare.diff.tokens.right, this.diffEventHandler, {idPrefix: "diff-"}),
+                    },
+                },
             },
         }
 
@@ -195,20 +405,34 @@ export class MainGraphic {
     private _bindEventHandler() {
         //#region event handler binding
         this.eventHandler.bind(TextTokens.events.tokenDblClick, (e) => {
-            const letter = sideToLetter(e.side, this.uiConf.attType)
+            const letter = sideToLetter(e.side, this.uiConf.attType())
             this.tokCapsule[letter].toggle(e.ind)
             this.sels.body.style("cursor", "progress")
-            this.api.updateMaskedMetaAttentions(this.tokCapsule.a, this.uiConf.layer()).then(
+            this.status.attention.latest('masking', signal => this.api.updateMaskedMetaAttentions(this.tokCapsule.a, this.uiConf.layer(), this.tokCapsule.b, signal)).then(
                 (r: tp.AttentionMetaMaskedResponse) => {
                     this.attCapsule.updateFromMasking(r, this.uiConf.hideClsSep());
                     this.tokCapsule.updateEmbeddingsFromMasking(r)
 
                     this.uiConf.maskInds(this.tokCapsule.a.maskInds)
+                    this.uiConf.maskIndsB(this.tokCapsule.b.maskInds)
+                    this._fetchAllLayers()
 
-                    this.update();
-                    this.sels.body.style("cursor", "default")
+                    // The comparison shares the masks of sentence B
+                    const comparisonUpdated = (letter == 'b') && this.uiConf.compare() ? this._refetchComparison().catch(requestFailed) : Promise.resolve()
+                    return comparisonUpdated.then(() => {
+                        this.update();
+                        this.sels.body.style("cursor", "default")
+                    })
+                },
+                err => {
+                    // A newer request carries the mask on. Otherwise the token is shown unmasked again
+                    if (!(err instanceof AbortError)) {
+                        this.tokCapsule[letter].toggle(e.ind)
+                        this.renderTokens()
+                    }
+                    throw err
                 }
-            )
+            ).catch(requestFailed)
         })
 
         this.eventHandler.bind(TextTokens.events.tokenMouseOver, (e: tp.TokenEvent) => {
@@ -219,10 +443,16 @@ export class MainGraphic {
             chooseShowAll(this.uiConf.token())
         })
 
-        this.eventHandler.bind(TextTokens.events.tokenClick, (e: tp.TokenEvent) => {
-            this.uiConf.toggleToken(e)
-            this._toggleTokenSel()
-            showBySide(e)
+        this.eventHandler.bind(TextTokens.events.tokenClick, (e: tp.TokenEvent) => this._lockToken(e))
+
+        this.eventHandler.bind(TextTokens.events.tokenFocus, (e: tp.TokenEvent) => {
+            chooseShowBySide(this.uiConf.token(), e)
+            this._announceTopAttended(e)
+        })
+
+        this.eventHandler.bind(TextTokens.events.tokenSideChange, (e: tp.TokenEvent) => {
+            const other = e.side == "left" ? this.vizs.tokens.right : this.vizs.tokens.left
+            other.focus(e.ind)
         })
 
 
@@ -250,16 +480,31 @@ export class MainGraphic {
         })
 
         this.eventHandler.bind(AttentionHeadBox.events.boxClick, (e: { head }) => {
-            const result = this.uiConf.toggleHead(e.head)
-            if (result == tp.Toggled.ADDED) {
-                selectHead(e.head)
-            } else if (result == tp.Toggled.REMOVED) {
-                unselectHead(e.head)
-            }
+            this._toggleHead(e.head)
+        })
 
-            this._searchDisabler()
-            this._renderHeadSummary();
-            this.renderSvg();
+        this.eventHandler.bind(CorpusHistogram.events.barClick, (e: { histogram: ResultFilterTarget, meta: tp.SimpleMeta | "offset", label: string }) => {
+            const filter: ResultFilter = {target: e.histogram, key: e.meta, value: String(e.label)}
+            const sameKey = (f: ResultFilter) => (f.target == filter.target) && (f.key == filter.key)
+            const isActive = this.resultQuery.filters.some(f => sameKey(f) && (f.value == filter.value))
+
+            // Clicking the bar of an active filter removes it, otherwise it replaces the filter on the same information
+            const others = this.resultQuery.filters.filter(f => !sameKey(f))
+            this.resultQuery.filters = isActive ? others : others.concat([filter])
+            this._renderSearchResults()
+        })
+
+        this.eventHandler.bind(HeadSummaryMatrix.events.cellClick, (e: { layer: number, head: number, shiftKey: boolean }) => {
+            this._jumpToHead(e)
+        })
+
+        this.batchEventHandler.bind(HeadSummaryMatrix.events.cellClick, (e: { layer: number, head: number, shiftKey: boolean }) => {
+            this._jumpToHead(e)
+        })
+
+        this.batchEventHandler.bind(CorpusHistogram.events.barClick, (e: { label: string }) => {
+            this.batchTarget = String(e.label)
+            this.renderBatch()
         })
 
         this.eventHandler.bind(CorpusMatManager.events.mouseOver, (e: { val: "pos" | "dep" | "is_ent", idx: number }) => {
@@ -271,45 +516,395 @@ export class MainGraphic {
             const selector = `.inspector-cell[index-offset='${e.idx}']`
             // d3.selectAll(selector).style('border-width', 0)
         })
-    }
 
-    private _toggleTokenSel() {
-        const e = this.uiConf.token()
-        const alreadySelected = d3.select('.selected-token')
+        // Hovering tokens of either comparison panel shows the same edges as hovering the main view
+        const showTokenEdges = (handler: SimpleEventHandler) => {
+            handler.bind(TextTokens.events.tokenMouseOver, (e: tp.TokenEvent) => {
+                chooseShowBySide(this.uiConf.token(), e)
+            })
 
-        // If no token should be selected, unselect all tokens
-        if (isNullToken(e)) {
-            const newSel: d3.Selection<BaseType, any, BaseType, any> = d3.selectAll('.selected-token')
-            if (!newSel.empty()) newSel.classed('selected-token', false)
+            handler.bind(TextTokens.events.tokenMouseOut, (e) => {
+                chooseShowAll(this.uiConf.token())
+            })
         }
 
-        // Otherwise, select the indicated token
-        else {
-            const token2String = (e: tp.TokenEvent) => `#${e.side}-token-${e.ind}`
-            const newSel = d3.select(token2String(e))
-            // Check that selection exists
-            if (!newSel.empty()) newSel.classed('selected-token', true)
+        showTokenEdges(this.cmpEventHandler)
+        showTokenEdges(this.diffEventHandler)
+
+        // Locking a token shows its edges in every panel, but each panel describes its own attention
+        const bindTokenKeys = (handler: SimpleEventHandler, tokens: () => {left: TextTokens, right: TextTokens}, describe: (e: tp.TokenEvent) => void) => {
+            handler.bind(TextTokens.events.tokenClick, (e: tp.TokenEvent) => this._lockToken(e))
+
+            handler.bind(TextTokens.events.tokenFocus, (e: tp.TokenEvent) => {
+                chooseShowBySide(this.uiConf.token(), e)
+                describe(e)
+            })
+
+            handler.bind(TextTokens.events.tokenSideChange, (e: tp.TokenEvent) => {
+                const other = e.side == "left" ? tokens().right : tokens().left
+                other.focus(<number>e.ind)
+            })
         }
 
+        bindTokenKeys(this.cmpEventHandler, () => this.vizs.compare.tokens,
+            e => this._announceTopAttended(e, this.cmpAttCapsule, this.cmpTokCapsule, "Comparison: "))
+        bindTokenKeys(this.diffEventHandler, () => this.vizs.compare.diff.tokens,
+            e => this._announceTopAttended(e, this.diffAttCapsule, this.tokCapsule, "Difference: "))
+
+        this.cmpEventHandler.bind(TextTokens.events.tokenDblClick, (e: tp.TokenEvent) => {
+            // Only sentence A can be masked separately in the comparison
+            if (sideToLetter(e.side, this.uiConf.attType()) != 'a') {
+                this.renderComparison()
+                return
+            }
+
+            this.cmpTokCapsule.a.toggle(e.ind)
+            this.uiConf.compareMaskInds(this.cmpTokCapsule.a.maskInds)
+            this.sels.body.style("cursor", "progress")
+            this._refetchComparison().then(() => {
+                this.renderComparison();
+                this.sels.body.style("cursor", "default")
+            }).catch(requestFailed)
+        })
+
+        this.diffEventHandler.bind(AttentionHeadBox.events.boxMouseOver, (e: tp.HeadBoxEvent) => {
+            const updateMat = this.diffAttCapsule.byHead(e.head)
+            this.vizs.compare.diff.attentionSvg.data(updateMat)
+            this.vizs.compare.diff.attentionSvg.update(updateMat)
+
+            showBySide(this.uiConf.token())
+        })
+
+        this.diffEventHandler.bind(AttentionHeadBox.events.boxMouseOut, () => {
+            const att = this.diffAttCapsule.byHeads(this.uiConf.heads())
+            this.vizs.compare.diff.attentionSvg.data(att)
+            this.vizs.compare.diff.attentionSvg.update(att)
+            showBySide(this.uiConf.token())
+        })
+
+        this.diffEventHandler.bind(AttentionHeadBox.events.boxClick, (e: { head }) => {
+            this._toggleHead(e.head)
+        })
+    }
+
+    /**
+     * Show the head of a cell of a layer and head summary. Shift click adds the head to the selection, otherwise only the clicked head is shown
+     */
+    private _jumpToHead(e: { layer: number, head: number, shiftKey: boolean }) {
+        if (!e.shiftKey) {
+            this.uiConf.selectNoHeads()
+            this._markSelectedHeads()
+        }
+
+        if (!e.shiftKey || !this.uiConf.headSet().has(e.head)) this._toggleHead(e.head)
+        if (e.layer != this.uiConf.layer()) this.layerRequests.next(e.layer)
+    }
+
+    private _toggleHead(head: number) {
+        const result = this.uiConf.toggleHead(head)
+        if (result == tp.Toggled.ADDED) {
+            selectHead(head)
+        } else if (result == tp.Toggled.REMOVED) {
+            unselectHead(head)
+        }
+
+        this._searchDisabler()
+        this._renderHeadSummary();
+        this.renderSvg();
+    }
+
+    private _toggleTokenSel() {
+        const e = this.uiConf.token()
+
         // Remove previous token selection, if any
-        if (!alreadySelected.empty()) {
-            alreadySelected.classed('selected-token', false)
+        d3.selectAll('.selected-token').classed('selected-token', false)
+
+        // Select the indicated token, and the token at the same place in the comparison and the difference
+        if (!isNullToken(e)) {
+            d3.selectAll(`.${e.side}-token.token-${e.ind}`).classed('selected-token', true)
         }
 
+        d3.selectAll('.token').attr('aria-pressed', function () {
+            return d3.select(this).classed('selected-token')
+        })
+
         this._searchDisabler()
     }
 
     private _staticInits() {
+        this._renderModelInfo();
         this._initSentenceForm();
+        this._initAttTypeSelector();
+        this._initCompareForm();
         this._initQueryForm();
         this._initCheckboxes();
         this._initAdder();
         this._renderHeadSummary();
         this._initMetaSelectors();
+        this._initResultQuery();
         this._initToggle();
+        this._initExportPanel();
+        this._initHeadSummary();
+        this._initKeyboard();
+        this._initBatch();
         this.renderAttHead();
     }
 
+    private _initBatch() {
+        const self = this;
+        const sels = this.sels.batch;
+
+        sels.file.on('change', function () {
+            const file = (<HTMLInputElement>this).files[0]
+            if (file == null) return
+
+            const reader = new FileReader()
+            reader.onload = () => sels.sentences.property('value', <string>reader.result)
+            reader.readAsText(file)
+        })
+
+        sels.run.on('click', () => this._runBatch((<string>sels.sentences.property('value')).split('\n')))
+
+        sels.sourceMeta.on('change', () => {
+            this._renderBatchSources()
+            this.renderBatch()
+        })
+        sels.source.on('change', () => this.renderBatch())
+        sels.targetMeta.on('change', () => {
+            this.batchTarget = null
+            this.renderBatch()
+        })
+    }
+
+    /**
+     * Get the metadata and the attentions of every layer of each sentence, one sentence at a time.
+     * Lines that cannot be analyzed are skipped and reported.
+     *
+     * @param lines One sentence per line. Empty lines are ignored
+     */
+    private _runBatch(lines: string[]) {
+        const sels = this.sels.batch;
+        const results: BatchSentence[] = []
+        const skipped: number[] = [] // Line numbers, starting at 1
+
+        // '#' breaks the API, like in the sentence form
+        const sentences = lines.map((s, i) => ({text: s.replace(/\#/g, '').trim(), line: i + 1}))
+            .filter(s => s.text.length > 0)
+
+        if (sentences.length == 0) return
+
+        const analyze = (sentence: string) => this.api.getMetaAttentions(sentence, this.uiConf.layer()).then(r => {
+            const tokens = new TokenWrapper(r)
+            return this.api.getAllLayerAttentions(tokens.a, tokens.b).then(all => {
+                results.push({sentence: sentence, tokens: r.aa.left, att: all.aa.att})
+            })
+        })
+
+        const analyzeLine = (s: {text: string, line: number}) => analyze(s.text)
+            .catch(e => {
+                console.warn(`Skipped line ${s.line} of the batch: `, e)
+                skipped.push(s.line)
+            })
+            .then(() => sels.status.text(`Analyzed ${results.length + skipped.length} of ${sentences.length} sentences`))
+
+        sels.run.attr('disabled', true)
+        sels.status.text(`Analyzing ${sentences.length} sentences`)
+
+        sentences.reduce((prev, s) => prev.then(() => analyzeLine(s)), Promise.resolve())
+            .then(() => {
+                const skippedMsg = skipped.length ? ` Skipped line${skipped.length > 1 ? 's' : ''} ${skipped.join(", ")}, which could not be analyzed.` : ""
+
+                if (results.length == 0) {
+                    this._clearBatch()
+                    sels.status.text(`No sentence could be analyzed.${skippedMsg}`)
+                    return
+                }
+
+                sels.status.text(`Analyzed ${results.length} sentences.${skippedMsg}`)
+                this.batch = new BatchAttentionWrapper(results)
+                this.batchTarget = null
+                this._renderBatchSources()
+                this.renderBatch()
+            })
+            .catch(e => sels.status.text(`Could not analyze the batch: ${e.message}`))
+            .then(() => sels.run.attr('disabled', null))
+    }
+
+    /**
+     * Remove the results of the previous batch
+     */
+    private _clearBatch() {
+        const sels = this.sels.batch
+
+        this.batch = null
+        this.batchTarget = null
+        sels.source.selectAll('option').remove()
+        sels.description.text('')
+        this.vizs.batch.histogram.clear()
+        this.vizs.batch.matrix.clear()
+    }
+
+    private _renderBatchSources() {
+        const sel = this.sels.batch.source
+        const categories = this.batch.categories(<RelationMeta>this.sels.batch.sourceMeta.property('value'))
+
+        sel.selectAll('option')
+            .data(categories)
+            .join('option')
+            .attr('value', d => d)
+            .text(d => d)
+
+        sel.property('value', categories[0])
+    }
+
+    /**
+     * Share of the attention of the source category that goes to each target category, by metadata of the targets
+     */
+    private _batchRelations(): {[meta in RelationMeta]: RelationShares} {
+        const sels = this.sels.batch
+        const sourceMeta = <RelationMeta>sels.sourceMeta.property('value')
+        const source = sels.source.property('value')
+
+        return {
+            pos: this.batch.relationShares(sourceMeta, source, "pos"),
+            dep: this.batch.relationShares(sourceMeta, source, "dep"),
+        }
+    }
+
+    renderBatch() {
+        if (this.batch == null) return
+
+        const sels = this.sels.batch
+        const vizs = this.vizs.batch
+        const targetMeta = <RelationMeta>sels.targetMeta.property('value')
+        const relations = this._batchRelations()
+        const byHeads = _.mapValues(relations, r => BatchAttentionWrapper.byHeads(r, +this.uiConf.layer(), this.uiConf.heads()))
+        const targets = Object.keys(byHeads[targetMeta])
+        const relation = relations[targetMeta]
+
+        if (relation.nSources == 0 || targets.length == 0) {
+            sels.description.text(`No "${relation.source}" tokens in the batch`)
+            vizs.histogram.clear()
+            vizs.matrix.clear()
+            return
+        }
+
+        // Start with the category that the selected heads attend to the most
+        if (!_.includes(targets, this.batchTarget)) this.batchTarget = _.maxBy(targets, t => byHeads[targetMeta][t])
+
+        vizs.histogram.update(byHeads)
+        if (vizs.histogram.meta() != targetMeta) vizs.histogram.meta(targetMeta)
+        vizs.histogram.selected({[targetMeta]: [this.batchTarget]})
+
+        const rows = relation.shares[this.batchTarget]
+        const values = _.flatten(rows)
+        const label = `Share of attention from "${relation.source}" to "${this.batchTarget}"`
+
+        sels.description.text(`${label}, averaged over ${relation.nSources} tokens of ${this.batch.data.length} sentences:`)
+        vizs.matrix.update({rows: rows, label: label, min: _.min(values), max: _.max(values)})
+        vizs.matrix.selected(this.uiConf.layer(), this.uiConf.heads())
+    }
+
+    /**
+     * Shortcuts that work everywhere except while typing. The tokens handle their own keys, see `TextTokens`
+     */
+    private _initKeyboard() {
+        const isTyping = (e: KeyboardEvent) => {
+            const target = <HTMLElement>e.target
+            const isTextInput = (target.tagName == 'INPUT') && ((<HTMLInputElement>target).type == 'text')
+            return isTextInput || _.includes(['TEXTAREA', 'SELECT'], target.tagName)
+        }
+
+        const actions = {
+            "[": () => this._stepLayer(-1),
+            "]": () => this._stepLayer(1),
+            ",": () => this._stepHead(-1),
+            ".": () => this._stepHead(1),
+            a: () => {
+                this.uiConf.toggleSelectAllHeads()
+                this._searchDisabler()
+                this.renderSvg()
+                this.renderAttHead()
+                this._announce(`${this.uiConf.heads().length} heads selected`)
+            },
+            e: () => { if (!this._searchingDisabled()) this._queryEmbeddings() },
+            c: () => { if (!this._searchingDisabled()) this._queryContext() },
+            t: () => {
+                const e = this.uiConf.token()
+                const side = isNullToken(e) ? "left" : e.side
+                this.vizs.tokens[side].focus(isNullToken(e) ? 0 : e.ind)
+            },
+            Escape: () => {
+                this.uiConf.rmToken()
+                this._toggleTokenSel()
+                Sel.setVisible(".atn-curve")
+            },
+        }
+
+        fromEvent(document, 'keydown').pipe(
+            filter((e: KeyboardEvent) => !(e.ctrlKey || e.metaKey || e.altKey) && !isTyping(e) && (e.key in actions))
+        ).subscribe((e: KeyboardEvent) => {
+            e.preventDefault()
+            actions[e.key]()
+        })
+    }
+
+    private _stepLayer(step: number) {
+        const layer = _.clamp(+this.uiConf.layer() + step, 0, this.attCapsule.nLayers - 1)
+        if (layer == this.uiConf.layer()) return
+
+        this.layerRequests.next(layer)
+        this._announce(`Layer ${layer}`)
+    }
+
+    /**
+     * Show only the head next to the single selected head, like a click on the layer and head summary
+     */
+    private _stepHead(step: number) {
+        const heads = this.uiConf.heads()
+        const nHeads = this.uiConf.nHeads
+        const current = heads.length == 1 ? heads[0] : (step > 0 ? -1 : nHeads)
+        const head = (current + step + nHeads) % nHeads
+
+        this.uiConf.selectNoHeads()
+        this._markSelectedHeads()
+        this._toggleHead(head)
+        this._announce(`Head ${head}`)
+    }
+
+    /**
+     * Read a message to screen reader users
+     */
+    private _announce(msg: string) {
+        this.sels.srSummary.text(msg)
+    }
+
+    /**
+     * Describe the tokens that a token attends to the most in one of the panels
+     *
+     * @param e The described token
+     * @param attCapsule Attention of the panel
+     * @param tokCapsule Tokens of the panel
+     * @param panel Names the panel if it is not the main one
+     */
+    private _announceTopAttended(e: tp.TokenEvent, attCapsule = this.attCapsule, tokCapsule = this.tokCapsule, panel = "") {
+        const attType = this.uiConf.attType()
+        const toText = (letter: string) => tokCapsule[letter].tokenData.map(t => t.text)
+        const att = attCapsule.byHeads(this.uiConf.heads())
+        const description = describeTopAttended(att, e, toText(attType[0]), toText(attType[1]))
+
+        this._announce(`${panel}${description}, layer ${this.uiConf.layer()}, ${this.uiConf.heads().length} heads`)
+    }
+
+    /**
+     * Lock or unlock the edges of a token, in every panel
+     */
+    private _lockToken(e: tp.TokenEvent) {
+        this.uiConf.toggleToken(e)
+        this._toggleTokenSel()
+        showBySide(e)
+    }
+
     private _initAdder() {
         const updateUrlOffsetIdxs = () => {
             this.uiConf.offsetIdxs(this.vizs.corpusMatManager.idxs)
@@ -420,8 +1015,14 @@ export class MainGraphic {
 
         this.sels.form.sentenceA.attr('placeholder', "Enter new sentence to analyze")
         this.sels.form.sentenceA.attr('value', this.uiConf.sentence())
+        this.sels.form.sentenceB.attr('placeholder', "Optionally enter a second sentence")
+        this.sels.form.sentenceB.attr('value', this.uiConf.sentenceB())
 
         const clearInspector = () => {
+            self.status.inspector.cancel();
+            self.searchResults = null;
+            self.sels.resultQuery.filters.html('');
+            self.sels.resultQuery.count.text('');
             self.vizs.corpusMatManager.clear();
             self.vizs.corpusInspector.clear();
             self.vizs.histograms.matchedWord.clear();
@@ -431,38 +1032,175 @@ export class MainGraphic {
         const submitNewSentence = () => {
             // replace all occurences of '#' in sentence as this causes the API to break
             const sentence_a: string = this.sels.form.sentenceA.property("value").replace(/\#/g, '')
+            const sentence_b: string = this.sels.form.sentenceB.property("value").replace(/\#/g, '')
 
             // Only update if the form is filled correctly
             if (sentence_a.length) {
+                const layer = this.uiConf.layer()
                 this.sels.body.style("cursor", "progress")
-                this.api.getMetaAttentions(sentence_a, this.uiConf.layer())
+                this.status.attention.latest('sentence', signal => this.api.getMetaAttentions(sentence_a, layer, sentence_b, signal))
                     .then((r: tp.AttentionMetaResponse) => {
+                        // Masks and layer changes made while the sentence was loading apply to the previous sentence
+                        this.status.attention.cancel('masking')
                         this.uiConf.sentence(sentence_a)
+                        this.uiConf.sentenceB(sentence_b)
+                        this.uiConf.maskInds([])
+                        this.uiConf.maskIndsB([])
                         this.uiConf.rmToken();
                         this.attCapsule.updateFromNormal(r, this.uiConf.hideClsSep());
                         this.tokCapsule.updateFromResponse(r);
+                        this._syncAttType();
                         this._toggleTokenSel();
-                        this.update();
-                        clearInspector();
-                        this.sels.body.style("cursor", "default")
+                        this._fetchAllLayers();
+
+                        // The comparison shares sentence B and must be refetched before the difference is redrawn
+                        const comparisonUpdated = this._isComparing() ? this._fetchComparison().catch(requestFailed) : Promise.resolve()
+                        return comparisonUpdated.then(() => {
+                            this.update();
+                            clearInspector();
+                            this.sels.body.style("cursor", "default")
+
+                            // The layer changed while the sentence was loading
+                            if (layer != this.uiConf.layer()) this.layerRequests.next(this.uiConf.layer())
+                        })
                     })
+                    .catch(requestFailed)
             }
         }
 
-        const onEnter = R.curry((keyCode, f, event) => {
-            const e = event || window.event;
-            if (e.keyCode !== keyCode) return;
-            e.preventDefault();
-            f();
-        })
-
         const onEnterSubmit = onEnter(13, submitNewSentence)
 
         const btn = this.sels.form.button;
-        const inputBox = this.sels.form.sentenceA;
 
         btn.on("click", submitNewSentence)
-        inputBox.on('keypress', onEnterSubmit)
+        this.sels.form.sentenceA.on('keypress', onEnterSubmit)
+        this.sels.form.sentenceB.on('keypress', onEnterSubmit)
+    }
+
+    private _initAttTypeSelector() {
+        const self = this;
+        const sel = this.sels.attTypeSelector
+
+        this._syncAttType()
+
+        sel.selectAll('label').on('click', function () {
+            const val = <tp.SentenceOptions>d3.select(this).attr('value')
+            if (!self.attCapsule.hasAttType(val)) return
+
+            // Selected tokens refer to the sides of the previous attention
+            self.uiConf.attType(val)
+            self.uiConf.rmToken()
+            self.attCapsule.attType(val)
+            if (self.cmpAttCapsule != null) self.cmpAttCapsule.attType(val)
+
+            self._syncAttType()
+            self._toggleTokenSel()
+            self.update()
+        })
+    }
+
+    /**
+     * Match the attention type selector to the attention pairs that are available
+     */
+    private _syncAttType() {
+        const sel = this.sels.attTypeSelector
+        this.uiConf.attType(this.attCapsule.attType())
+
+        sel.selectAll('label')
+            .classed('disabled', (d, i, n) => !this.attCapsule.hasAttType(<tp.SentenceOptions>d3.select(n[i]).attr('value')))
+            .classed('active', (d, i, n) => d3.select(n[i]).attr('value') == this.uiConf.attType())
+    }
+
+    private _initCompareForm() {
+        const sels = this.sels.compare;
+
+        sels.sentence.attr('placeholder', "Enter sentence to compare against")
+        sels.sentence.attr('value', this.uiConf.compareSentence())
+        sels.toggle.select('input').property('checked', this.uiConf.compare())
+
+        fromEvent(sels.toggle.node(), 'input').pipe(
+            map((e: Event) => (<HTMLInputElement>e.target).checked),
+        ).subscribe({
+            next: v => {
+                this.uiConf.compare(v)
+                this._updateComparison()
+            }
+        })
+
+        const submitComparison = () => {
+            // replace all occurences of '#' in sentence as this causes the API to break
+            const sentence: string = sels.sentence.property("value").replace(/\#/g, '')
+
+            // Only update if the form is filled correctly
+            if (sentence.length) {
+                // Masked indexes do not carry over to a different sentence
+                if (sentence != this.uiConf.compareSentence()) {
+                    this.uiConf.compareSentence(sentence)
+                    this.uiConf.compareMaskInds([])
+                }
+
+                this.uiConf.compare(true)
+                sels.toggle.select('input').property('checked', true)
+                this._updateComparison()
+            }
+        }
+
+        sels.button.on("click", submitComparison)
+        sels.sentence.on('keypress', onEnter(13, submitComparison))
+    }
+
+    /**
+     * Fetch the attentions of the comparison configuration at the current layer
+     */
+    private _fetchComparison(): Promise<void> {
+        const sentences = [this.uiConf.compareSentence(), this.uiConf.sentenceB()]
+
+        return this.status.attention.latest('compare', signal => this.api.getMetaAttentions(sentences[0], this.uiConf.layer(), sentences[1], signal))
+            .then((r: tp.AttentionMetaResponse) => {
+                this.cmpSentences = sentences
+                this.cmpAttCapsule = makeFromMetaResponse(r, this.uiConf.hideClsSep(), this.uiConf.attType(), this.modelInfo)
+                this.cmpTokCapsule = new TokenWrapper(r)
+                this.cmpTokCapsule.a.maskInds = this.uiConf.compareMaskInds()
+
+                if ((this.cmpTokCapsule.a.maskInds.length > 0) || (this.uiConf.maskIndsB().length > 0)) {
+                    return this._fetchComparisonMasking()
+                }
+            })
+    }
+
+    /**
+     * Bring the comparison to the current layer and masks. If its sentences have not loaded yet, load them again,
+     * since the request for the masks would cancel them.
+     */
+    private _refetchComparison(): Promise<void> {
+        const loaded = R.equals(this.cmpSentences, [this.uiConf.compareSentence(), this.uiConf.sentenceB()])
+        return loaded ? this._fetchComparisonMasking() : this._fetchComparison()
+    }
+
+    /**
+     * Update the comparison configuration from its masked tokens at the current layer
+     */
+    private _fetchComparisonMasking(): Promise<void> {
+        if (this.cmpTokCapsule.hasB) this.cmpTokCapsule.b.maskInds = _.clone(this.uiConf.maskIndsB())
+
+        return this.status.attention.latest('compare', signal => this.api.updateMaskedMetaAttentions(this.cmpTokCapsule.a, this.uiConf.layer(), this.cmpTokCapsule.b, signal))
+            .then((r: tp.AttentionMetaMaskedResponse) => {
+                this.cmpAttCapsule.updateFromMasking(r, this.uiConf.hideClsSep())
+                this.cmpTokCapsule.updateEmbeddingsFromMasking(r)
+            })
+    }
+
+    private _updateComparison() {
+        if (!this.uiConf.compare()) {
+            this.renderComparison()
+            return
+        }
+
+        this.sels.body.style("cursor", "progress")
+        this._fetchComparison().then(() => {
+            this.renderComparison()
+            this.sels.body.style("cursor", "default")
+        }).catch(requestFailed)
     }
 
     private _getSearchEmbeds() {
@@ -486,22 +1224,13 @@ export class MainGraphic {
         const k = 50
 
         this.sels.body.style("cursor", "progress")
-        self.api.getNearestWozEmbeddings(embed, layer, heads, k)
+        this.status.inspector.latest('search', signal => self.api.getNearestWozEmbeddings(embed, layer, heads, k, signal))
             .then((val: tp.FaissSearchResults[]) => {
-                // Get heights of corpus inspector rows.
-                self.vizs.corpusInspector.update(val)
-
-                const wrappedVals = self._wrapResults(val)
-                const countedVals = wrappedVals.getMatchedHistogram()
-                const offsetVals = wrappedVals.getMaxAttHistogram()
-
-                self.vizs.corpusMatManager.update(wrappedVals.data)
-                self.vizs.histograms.matchedWord.update(countedVals)
-                self.vizs.histograms.maxAtt.update(offsetVals)
                 self.uiConf.displayInspector('embeddings')
-                this._updateCorpusInspectorFromMeta(this.uiConf.metaMatch())
+                this._showSearchResults(val)
                 this.sels.body.style("cursor", "default")
             })
+            .catch(requestFailed)
     }
 
     private _searchContext() {
@@ -514,24 +1243,94 @@ export class MainGraphic {
 
         this.sels.body.style("cursor", "progress")
 
-        self.api.getNearestWozContexts(context, layer, heads, k)
+        this.status.inspector.latest('search', signal => self.api.getNearestWozContexts(context, layer, heads, k, signal))
             .then((val: tp.FaissSearchResults[]) => {
-                // Get heights of corpus inspector rows.
-                self.vizs.corpusInspector.update(val)
+                self.uiConf.displayInspector('context')
+                this._showSearchResults(val)
+                this.sels.body.style("cursor", "default")
+            })
+            .catch(requestFailed)
+    }
 
-                const wrappedVals = self._wrapResults(val)
-                const countedVals = wrappedVals.getMatchedHistogram()
-                const offsetVals = wrappedVals.getMaxAttHistogram()
-                self.vizs.corpusMatManager.update(wrappedVals.data)
+    /**
+     * Display the results of a new search. Filters only apply to the results they were chosen for.
+     */
+    private _showSearchResults(val: tp.FaissSearchResults[]) {
+        this.searchResults = val
+        this.resultQuery.filters = []
+        this._renderSearchResults()
+    }
 
-                self.vizs.histograms.matchedWord.update(countedVals)
-                self.vizs.histograms.maxAtt.update(offsetVals)
+    /**
+     * Draw the search results that pass the query
+     */
+    private _renderSearchResults() {
+        if (this.searchResults == null) return
+
+        const shown = new FaissSearchResultWrapper(this.searchResults).query(this.resultQuery).data
+        const hists = this.vizs.histograms
+
+        // Get heights of corpus inspector rows.
+        this.vizs.corpusInspector.update(shown)
+
+        const wrappedVals = this._wrapResults(shown)
+        this.vizs.corpusMatManager.update(wrappedVals.data)
+
+        const filtersBy = (target: ResultFilterTarget) => _.mapValues(
+            _.groupBy(this.resultQuery.filters.filter(f => f.target == target), f => f.key),
+            fs => fs.map(f => f.value)
+        )
+        hists.matchedWord.selected(filtersBy("matched"))
+        hists.maxAtt.selected(filtersBy("maxAtt"))
+
+        if (shown.length > 0) {
+            hists.matchedWord.update(wrappedVals.getMatchedHistogram())
+            hists.maxAtt.update(wrappedVals.getMaxAttHistogram())
+            this._updateCorpusInspectorFromMeta(this.uiConf.metaMatch())
+            hists.maxAtt.meta(this.uiConf.metaMax())
+        } else {
+            hists.matchedWord.clear()
+            hists.maxAtt.clear()
+        }
 
-                self.uiConf.displayInspector('context')
-                this._updateCorpusInspectorFromMeta(this.uiConf.metaMatch())
-                self.vizs.histograms.maxAtt.meta(self.uiConf.metaMax())
-                this.sels.body.style("cursor", "default")
+        this._renderResultFilters(shown.length)
+    }
+
+    private _renderResultFilters(nShown: number) {
+        const self = this;
+        const sels = this.sels.resultQuery;
+        const metaName = (f: ResultFilter) => f.key == "is_ent" ? "entity" : f.key.toUpperCase()
+        const targetName = (f: ResultFilter) => f.target == "matched" ? "Matched" : "Max attention"
+
+        sels.filters.selectAll('.result-filter')
+            .data(this.resultQuery.filters)
+            .join('span')
+            .classed('result-filter', true)
+            .attr('title', 'Remove filter')
+            .text(f => `${targetName(f)} ${metaName(f)}: ${f.value} ×`)
+            .on('click', f => {
+                self.resultQuery.filters = R.without([f], self.resultQuery.filters)
+                self._renderSearchResults()
             })
+
+        sels.count.text(`Showing ${nShown} of ${this.searchResults.length} results`)
+    }
+
+    private _initResultQuery() {
+        const self = this;
+        const sels = this.sels.resultQuery;
+
+        sels.sort.property('value', this.resultQuery.sortBy)
+
+        sels.text.on('input', _.debounce(function () {
+            self.resultQuery.text = (<HTMLInputElement>this).value
+            self._renderSearchResults()
+        }, 200))
+
+        sels.sort.on('change', function () {
+            self.resultQuery.sortBy = <ResultSortOptions>(<HTMLSelectElement>this).value
+            self._renderSearchResults()
+        })
     }
 
     private _queryContext() {
@@ -578,6 +1377,8 @@ export class MainGraphic {
     private _renderHeadSummary() {
         this.sels.selectedHeads
             .html(R.join(', ', this.uiConf.heads()))
+        this.vizs.headSummary.selected(this.uiConf.layer(), this.uiConf.heads())
+        this.renderBatch()
     }
 
     // Modify faiss results with corresponding heights
@@ -603,7 +1404,8 @@ export class MainGraphic {
             .data(_.range(0, this.attCapsule.nLayers))
             .join("label")
             .attr("class", "btn button layerCheckbox")
-            .classed('active', (d, i) => i == 0)
+            .classed('active', d => d == this.uiConf.layer())
+            .attr("aria-label", d => `Layer ${d}`)
             .text((d) => d)
             .append("input")
             .attr("type", "radio")
@@ -628,31 +1430,43 @@ export class MainGraphic {
         //     })
 
 
-        fromEvent(checkboxes.nodes(), 'change').pipe(
-            /// TODO: CHECK !!!
-            tap((e: Event) => {
-                const myData = d3.select(<BaseType>e.target).datum();
-                console.log(myData, "--- myData");
-                this.sels.layerCheckboxes.selectAll(".layerCheckbox")
-                    .classed('active', d => d === myData)
+        const checkboxChanges = fromEvent(checkboxes.nodes(), 'change').pipe(
+            map((v: Event) => +d3.select(<BaseType>v.target).datum()),
+        )
 
+        merge(checkboxChanges, this.layerRequests).pipe(
+            tap(v => {
+                this.sels.layerCheckboxes.selectAll(".layerCheckbox")
+                    .classed('active', d => d === v)
+                d3.select(`#layerCheckbox${v}`).property("checked", true)
             }),
-            map((v: Event) => +d3.select(<BaseType>v.target).datum()),
             tap(v => {
                 console.log("New layer: ", v);
                 self.uiConf.layer(v);
                 self.sels.body.style("cursor", "progress");
             }),
-            switchMap((v) => from(self.api.updateMaskedMetaAttentions(self.tokCapsule.a, v)))
+            // A failed request must not end the stream of layer changes
+            switchMap((v) => from(self.status.attention.latest('masking', signal => self.api.updateMaskedMetaAttentions(self.tokCapsule.a, v, self.tokCapsule.b, signal))).pipe(
+                catchError(e => {
+                    requestFailed(e)
+                    return EMPTY
+                })
+            ))
         ).subscribe({
             next: (r: tp.AttentionMetaMaskedResponse) => {
                 self.attCapsule.updateFromMasking(r, self.uiConf.hideClsSep())
                 self.tokCapsule.updateEmbeddingsFromMasking(r)
 
                 self.uiConf.maskInds(self.tokCapsule.a.maskInds)
-                self.update();
-                self.sels.body.style("cursor", "default")
-                self._toggleTokenSel();
+                self.uiConf.maskIndsB(self.tokCapsule.b.maskInds)
+
+                // The comparison must be at the same layer before the difference is redrawn
+                const comparisonUpdated = self.uiConf.compare() ? self._refetchComparison().catch(requestFailed) : Promise.resolve()
+                comparisonUpdated.then(() => {
+                    self.update();
+                    self.sels.body.style("cursor", "default")
+                    self._toggleTokenSel();
+                }).catch(requestFailed)
             }
         })
 
@@ -668,6 +1482,11 @@ export class MainGraphic {
             self.uiConf.threshold(+node.value / 100);
             d3.select('#my-range-value').text(dispThresh(self.uiConf.threshold()))
             self.vizs.attentionSvg.threshold(self.uiConf.threshold())
+            // The comparison is only drawn, and its graphs only have data, while comparing
+            if (self._isComparing()) {
+                self.vizs.compare.attentionSvg.threshold(self.uiConf.threshold())
+                if (self.diffAttCapsule != null) self.vizs.compare.diff.attentionSvg.threshold(self.uiConf.threshold())
+            }
         }, 100))
 
         this.sels.headSelectAll.on("click", function () {
@@ -688,18 +1507,263 @@ export class MainGraphic {
 
     _initToggle() {
         fromEvent(this.sels.clsToggle.node(), 'input').pipe(
-            // @ts-ignore -- TODO: FIX !
-            map(e => e.srcElement.checked),
+            map((e: Event) => (<HTMLInputElement>e.target).checked),
         ).subscribe({
             next: v => {
                 this.uiConf.hideClsSep(v)
                 this.attCapsule.zeroed(v)
+                if (this.cmpAttCapsule != null) this.cmpAttCapsule.zeroed(v)
                 this.renderSvg();
                 this.renderAttHead();
             }
         })
     }
 
+    private _initHeadSummary() {
+        const sel = this.sels.headSummary.statSelect
+
+        sel.selectAll('option')
+            .data(Object.keys(headStatDescriptions))
+            .join('option')
+            .attr('value', d => d)
+            .text(d => headStatDescriptions[d])
+
+        sel.property('value', this.uiConf.headStat())
+        sel.on('change', () => {
+            this.uiConf.headStat(sel.property('value'))
+            this.renderHeadMatrix()
+        })
+    }
+
+    /**
+     * Fetch the attentions of every layer for the current tokens and masks
+     */
+    private _fetchAllLayers() {
+        // Don't summarize stale attentions with the new tokens
+        this.allLayerAtt = null
+
+        this.status.headSummary.latest('allLayers', signal => this.api.getAllLayerAttentions(this.tokCapsule.a, this.tokCapsule.b, signal)).then((r: tp.AllLayersResponse) => {
+            if (this.modelInfo == null) this.attCapsule.nLayers = r.aa.att.length
+            this._checkModelShape("layers", this.attCapsule.nLayers, r.aa.att.length)
+            this.allLayerAtt = r
+            this.renderHeadMatrix()
+        }).catch(requestFailed)
+    }
+
+    private _renderModelInfo() {
+        const info = this.modelInfo
+        const description = info == null ? "" : `Model: ${info.name} (${info.nLayers} layers, ${info.nHeads} heads)`
+
+        this.sels.model.name.text(description)
+        if (info == null) {
+            this.sels.model.warning.text("The server did not report its model configuration, so BERT-base is assumed. The number of layers and heads may be wrong.")
+        }
+        this.sels.clsToggleDescription.text(`Hide ${this.attCapsule.zeroTokens.join(" and ")}`)
+    }
+
+    /**
+     * Warn if the server returns attentions of another shape than its model configuration describes
+     *
+     * @param dim Name of the dimension that is checked, e.g. "heads"
+     * @param expected Size according to the model configuration
+     * @param found Size of the returned attentions
+     */
+    private _checkModelShape(dim: string, expected: number, found: number) {
+        if (expected == found) return
+
+        const msg = `The model should have ${expected} ${dim} but the server returned ${found}. Views of the attention may be wrong.`
+        console.warn(msg)
+        this.sels.model.warning.text(msg)
+    }
+
+    private _initExportPanel() {
+        const sels = this.sels.export;
+
+        sels.json.on('click', () => this._exportData(sels.dataSelect.property('value'), 'json'))
+        sels.csv.on('click', () => this._exportData(sels.dataSelect.property('value'), 'csv'))
+        sels.svg.on('click', () => this._exportGraphic(sels.graphicSelect.property('value'), 'svg'))
+        sels.png.on('click', () => this._exportGraphic(sels.graphicSelect.property('value'), 'png'))
+
+        this._initSessionControls()
+    }
+
+    /**
+     * Record every response of the current session to a file, and replay recorded sessions without a server
+     */
+    private _initSessionControls() {
+        const sels = this.sels.export;
+        const cache = this.api.cache
+
+        // Replaying a session that was saved during a replay should not depend on the original session
+        const config = () => _.omit(this.uiConf.toJSON(), 'session')
+
+        sels.session.on('click', () => {
+            cache.exportSession(config())
+                .then(bundle => ex.download(JSON.stringify(bundle), 'exbert-session.json', 'application/json'))
+                .catch(e => sels.status.text(`Could not download the session: ${e.message}`))
+        })
+
+        sels.replayFile.on('change', function () {
+            const file = (<HTMLInputElement>this).files[0]
+            if (file == null) return
+
+            const replayFailed = (e: Error) => sels.replayStatus.text(`Could not replay ${file.name}: ${e.message}`)
+
+            const reader = new FileReader()
+            reader.onload = () => {
+                new Promise<SessionBundle>(resolve => resolve(JSON.parse(<string>reader.result)))
+                    .then(bundle => {
+                        if (bundle == null || typeof bundle.entries != 'object') throw new Error("The file is not a recorded session")
+
+                        return cache.storeSession(bundle).then(() => {
+                            URLHandler.updateUrl(R.assoc('session', LOCAL_SESSION, bundle.config), true)
+                            window.location.reload()
+                        })
+                    })
+                    .catch(replayFailed)
+            }
+            reader.onerror = () => replayFailed(reader.error)
+            reader.readAsText(file)
+        })
+
+        sels.leaveReplay
+            .style('display', cache.replaying ? null : 'none')
+            .on('click', () => {
+                URLHandler.updateUrl(config(), true)
+                window.location.reload()
+            })
+
+        // The status may already tell why a session could not be replayed, see `main.ts`
+        if (cache.replaying) sels.replayStatus.text("Replaying a recorded session. Only the views that were recorded are available.")
+    }
+
+    private _exportData(what: "attention" | "tokens" | "corpus" | "batch", format: "json" | "csv") {
+        const config = this.uiConf.toJSON()
+        const comment = `exBERT config: ${JSON.stringify(config)}`
+        this.sels.export.status.text('')
+
+        if (what == "attention") {
+            const heads = this.uiConf.heads()
+            const attType = this.uiConf.attType()
+            const toText = (letter) => this.tokCapsule[letter].tokenData.map(t => t.text)
+            const [fromTokens, toTokens] = [toText(attType[0]), toText(attType[1])]
+            const perHead = this.attCapsule.perHead(heads)
+            const filename = `exbert-attention-${attType}-layer${this.uiConf.layer()}`
+
+            if (format == "json") {
+                const out = {
+                    config: config,
+                    layer: this.uiConf.layer(),
+                    attType: attType,
+                    heads: heads,
+                    fromTokens: fromTokens,
+                    toTokens: toTokens,
+                    attention: perHead,
+                    sum: this.attCapsule.byHeads(heads),
+                }
+                ex.download(JSON.stringify(out), filename + '.json', 'application/json')
+            } else {
+                const rows = _.flatMap(perHead, (mat, h) => _.flatMap(mat, (row, i) => row.map((v, j) => {
+                    return [heads[h], i, fromTokens[i], j, toTokens[j], v]
+                })))
+                const header = ['head', 'from_index', 'from_token', 'to_index', 'to_token', 'attention']
+                ex.download(ex.toCsv(header, rows, comment), filename + '.csv', 'text/csv')
+            }
+        }
+
+        else if (what == "tokens") {
+            const records = {
+                a: tokenRecords(this.tokCapsule.a),
+                b: this.tokCapsule.hasB ? tokenRecords(this.tokCapsule.b) : [],
+            }
+
+            if (format == "json") {
+                ex.download(JSON.stringify({config: config, tokens: records}), 'exbert-tokens.json', 'application/json')
+            } else {
+                // Embeddings are too large to be useful in a CSV
+                const header = ['sentence', 'index', 'text', 'pos', 'dep', 'is_ent', 'masked']
+                const rows = _.flatMap(['a', 'b'], letter => records[letter].map(r => header.map(k => k == 'sentence' ? letter : r[k])))
+                ex.download(ex.toCsv(header, rows, comment), 'exbert-tokens.csv', 'text/csv')
+            }
+        }
+
+        else if (what == "corpus") {
+            if (this.searchResults == null) {
+                this.sels.export.status.text("There are no corpus search results to export. Search the corpus first.")
+                return
+            }
+
+            // Only the results that pass the filters are exported, in the order they are displayed
+            const wrapped = new FaissSearchResultWrapper(this.searchResults).query(this.resultQuery)
+
+            if (format == "json") {
+                const out = {
+                    config: config,
+                    query: this.resultQuery,
+                    results: wrapped.data,
+                    histograms: {
+                        matchedWord: wrapped.getMatchedHistogram(),
+                        maxAtt: wrapped.getMaxAttHistogram(),
+                    }
+                }
+                ex.download(JSON.stringify(out), 'exbert-corpus.json', 'application/json')
+            } else {
+                const header = ['rank', 'sentence', 'index', 'match', 'pos', 'dep', 'is_ent', 'max_att_token', 'offset_to_max', 'max_att']
+                const rows = wrapped.data.map(r => {
+                    const matched = r.tokens[r.index]
+                    const out = r.matched_att.out
+                    return [this.searchResults.indexOf(r), r.sentence, r.index, r.match, matched.pos, matched.dep, matched.is_ent,
+                        getMaxToken(r).token, out.offset_to_max, d3.max(out.att)]
+                })
+                ex.download(ex.toCsv(header, rows, comment), 'exbert-corpus.csv', 'text/csv')
+            }
+        }
+
+        else if (what == "batch") {
+            if (this.batch == null) {
+                this.sels.export.status.text("There is no batch analysis to export. Analyze a batch first.")
+                return
+            }
+
+            const relations = this._batchRelations()
+            const sourceMeta = this.sels.batch.sourceMeta.property('value')
+
+            if (format == "json") {
+                const out = {
+                    config: config,
+                    sentences: this.batch.data.map(s => s.sentence),
+                    sourceMeta: sourceMeta,
+                    relations: relations,
+                }
+                ex.download(JSON.stringify(out), 'exbert-batch.json', 'application/json')
+            } else {
+                const header = ['source_meta', 'source', 'n_sources', 'target_meta', 'target', 'layer', 'head', 'share']
+                const rows = _.flatMap(Object.keys(relations), (targetMeta: RelationMeta) => {
+                    const r = relations[targetMeta]
+                    return _.flatMap(Object.keys(r.shares), target => _.flatMap(r.shares[target], (row, l) => row.map((v, h) => {
+                        return [sourceMeta, r.source, r.nSources, targetMeta, target, l, h, v]
+                    })))
+                })
+                ex.download(ex.toCsv(header, rows, comment), 'exbert-batch.csv', 'text/csv')
+            }
+        }
+    }
+
+    private _exportGraphic(selector: string, format: "svg" | "png") {
+        const container = <Element>d3.select(selector).node()
+        const svg = ex.containerToSvg(container, this.uiConf.toJSON())
+        const filename = `exbert-${selector.replace('#', '')}`
+        this.sels.export.status.text('')
+
+        if (format == "svg") {
+            ex.download(ex.serializeSvg(svg), filename + '.svg', 'image/svg+xml')
+        } else {
+            ex.svgToPng(svg)
+                .then(blob => ex.download(blob, filename + '.png'))
+                .catch(e => this.sels.export.status.text(`Could not export the PNG: ${e.message}`))
+        }
+    }
+
     renderAttHead() {
         const heads = _.range(0, this.uiConf.nHeads)
         const focusAtt = this.attCapsule.att
@@ -708,20 +1772,33 @@ export class MainGraphic {
         this.vizs.leftHeads.update(leftAttInfo)
         this.vizs.rightHeads.update(rightAttInfo)
         this._renderHeadSummary();
+        this._markSelectedHeads();
+    };
 
-        // Make sure
-        heads.forEach((h) => {
+    private _markSelectedHeads() {
+        _.range(0, this.uiConf.nHeads).forEach((h) => {
             if (this.uiConf.headSet().has(h)) {
                 selectHead(h)
             } else {
                 unselectHead(h)
             }
         })
-    };
+    }
+
+    renderHeadMatrix() {
+        if (this.allLayerAtt == null) return
+
+        const attType = this.uiConf.attType()
+        const pair = this.allLayerAtt[attType] || this.allLayerAtt.aa
+        const targetTokens = this.tokCapsule[attType[1]].tokenData.map(t => t.text)
+
+        this.vizs.headSummary.update(getHeadSummary(pair.att, targetTokens, this.uiConf.headStat(), this.attCapsule.zeroTokens))
+        this.vizs.headSummary.selected(this.uiConf.layer(), this.uiConf.heads())
+    }
 
     renderTokens() {
-        const left = this.tokCapsule[this.uiConf.attType[0]]
-        const right = this.tokCapsule[this.uiConf.attType[1]]
+        const left = this.tokCapsule[this.uiConf.attType()[0]]
+        const right = this.tokCapsule[this.uiConf.attType()[1]]
 
         this.vizs.tokens.left.update(left.tokenData);
         this.vizs.tokens.left.mask(left.maskInds);
@@ -732,20 +1809,82 @@ export class MainGraphic {
 
     renderSvg() {
         const att = this.attCapsule.byHeads(this.uiConf.heads())
-        const svg = <AttentionGraph>this.vizs.attentionSvg.data(att);
+        const svg = <AttentionGraph>this.vizs.attentionSvg.data(att).threshold(this.uiConf.threshold());
         svg.update(att)
-        const maxTokens = _.max([this.tokCapsule.a.length()])
+        const attType = this.uiConf.attType()
+        const maxTokens = _.max([this.tokCapsule[attType[0]].length(), this.tokCapsule[attType[1]].length()])
         const newHeight = svg.options.boxheight * maxTokens
         svg.height(newHeight)
 
+        this.renderComparison()
+
         // Don't redisplay everything if one token is selected
         showBySide(this.uiConf.token())
     };
 
+    private _isComparing() {
+        return this.uiConf.compare() && (this.cmpAttCapsule != null)
+    }
+
+    /**
+     * Show the comparison configuration next to the difference between it and the main configuration
+     */
+    renderComparison() {
+        const isComparing = this._isComparing()
+        this.sels.compare.container.style('display', isComparing ? null : 'none')
+        if (!isComparing) return
+
+        const heads = this.uiConf.heads()
+        const attType = this.uiConf.attType()
+        const vizs = this.vizs.compare
+        const cmpLeft = this.cmpTokCapsule[attType[0]]
+        const cmpRight = this.cmpTokCapsule[attType[1]]
+        const boxheight = vizs.attentionSvg.options.boxheight
+
+        vizs.tokens.left.update(cmpLeft.tokenData);
+        vizs.tokens.left.mask(cmpLeft.maskInds);
+        vizs.tokens.right.update(cmpRight.tokenData);
+        vizs.tokens.right.mask(cmpRight.maskInds);
+
+        const cmpAtt = this.cmpAttCapsule.byHeads(heads)
+        vizs.attentionSvg.data(cmpAtt).threshold(this.uiConf.threshold())
+        vizs.attentionSvg.update(cmpAtt)
+        vizs.attentionSvg.height(boxheight * _.max([cmpLeft.length(), cmpRight.length()]))
+
+        this.diffAttCapsule = this.attCapsule.diff(this.cmpAttCapsule, this.uiConf.hideClsSep())
+
+        if (this.diffAttCapsule == null) {
+            this.sels.compare.diff.message.text("The two configurations have a different number of tokens and cannot be compared edge by edge.")
+            this.sels.compare.diff.container.style('display', 'none')
+        } else {
+            const left = this.tokCapsule[attType[0]]
+            const right = this.tokCapsule[attType[1]]
+
+            this.sels.compare.diff.message.text('')
+            this.sels.compare.diff.container.style('display', null)
+
+            vizs.diff.tokens.left.update(diffTokenData(left.tokenData, cmpLeft.tokenData));
+            vizs.diff.tokens.left.mask(_.union(left.maskInds, cmpLeft.maskInds));
+            vizs.diff.tokens.right.update(diffTokenData(right.tokenData, cmpRight.tokenData));
+            vizs.diff.tokens.right.mask(_.union(right.maskInds, cmpRight.maskInds));
+
+            const diffAtt = this.diffAttCapsule.byHeads(heads)
+            vizs.diff.attentionSvg.data(diffAtt).threshold(this.uiConf.threshold())
+            vizs.diff.attentionSvg.update(diffAtt)
+            vizs.diff.attentionSvg.height(boxheight * _.max([left.length(), right.length()]))
+
+            const allHeads = _.range(0, this.uiConf.nHeads)
+            vizs.diff.leftHeads.update(getAttentionInfo(this.diffAttCapsule.att, allHeads, "left"))
+            vizs.diff.rightHeads.update(getAttentionInfo(this.diffAttCapsule.att, allHeads, "right"))
+            this._markSelectedHeads();
+        }
+    }
+
     render() {
         this.renderTokens();
         this.renderSvg();
         this.renderAttHead();
+        this.renderHeadMatrix();
         // displaySelectedToken
     }
 
@@ -26,7 +26,7 @@ def roundReturnValue(attentions, ndigits=5):
     """Rounding must happen right before it's passed back to the frontend because there is a little numerical error that's introduced converting back to lists
     
     attentions: {
-        'aa': {
+        'aa' | 'ab' | 'ba' | 'bb': {
             left.embeddings & contexts
             right.embeddings & contexts
             att
@@ -36,12 +36,14 @@ def roundReturnValue(attentions, ndigits=5):
     """
     rounder = partial(round, ndigits=ndigits)
     new_out = attentions # Modify values to save memory
-    new_out['aa']['att'] = map_nlist(rounder, attentions['aa']['att'])
-    new_out['aa']['left']['embeddings'] = map_nlist(rounder, attentions['aa']['left']['embeddings'])
-    new_out['aa']['left']['contexts'] = map_nlist(rounder, attentions['aa']['left']['contexts'])
 
-    new_out['aa']['right']['embeddings'] = map_nlist(rounder, attentions['aa']['right']['embeddings'])
-    new_out['aa']['right']['contexts'] = map_nlist(rounder, attentions['aa']['right']['contexts'])
+    for k in ['aa', 'ab', 'ba', 'bb']:
+        new_out[k]['att'] = map_nlist(rounder, attentions[k]['att'])
+        new_out[k]['left']['embeddings'] = map_nlist(rounder, attentions[k]['left']['embeddings'])
+        new_out[k]['left']['contexts'] = map_nlist(rounder, attentions[k]['left']['contexts'])
+
+        new_out[k]['right']['embeddings'] = map_nlist(rounder, attentions[k]['right']['embeddings'])
+        new_out[k]['right']['contexts'] = map_nlist(rounder, attentions[k]['right']['contexts'])
 
     return new_out
 
@@ -11,6 +11,7 @@ from pytorch_pretrained_bert import BertModel, BertTokenizer
 from flask import render_template, redirect, send_from_directory
 from flask_cors import CORS
 from utils.mask_att import strip_attention
+from utils.token_processing import get_tag_sets, get_special_tokens
 import connexion
 import os
 import pickle
@@ -68,13 +69,19 @@ bert_version = 'bert-base-uncased'
 model = BertModel.from_pretrained(bert_version)
 tokenizer = BertTokenizer.from_pretrained(bert_version)
 details_data = AttentionDetailsData(model, tokenizer)
+special_tokens = get_special_tokens(tokenizer)
 
 p_file = "_store/simple.pckl"
 
-def keep_aa(attentions):
-    """ Last minute change: transfer over the network is very slow. Need to drop keys from the JSON to make rendering faster """
-    aa = attentions['aa']
-    out = {'aa': aa}
+PAIR_KEYS = ['aa', 'ab', 'ba', 'bb']
+
+def keep_pairs(attentions, has_b):
+    """ Transfer over the network is very slow. Drop the keys from the JSON that are not needed to make rendering faster
+
+    Without a second sentence, only the self attention of sentence A is meaningful
+    """
+    keys = PAIR_KEYS if has_b else ['aa']
+    out = {k: attentions[k] for k in keys}
     return out
 
 def masking_reformat(st, layer):
@@ -108,44 +115,59 @@ def in_side_select_layer(fsti, layer):
     return new_side
 
 
-def minimize_aa(attentions, layer, text_info_formatter):
+def minimize_pairs(attentions, layer, text_info_formatter):
     """ Last minute change: Need to additionally only return the attentions for a particular layer
 
-    Assume "AttentionMetaResult". Also drops the key and query.
+    Assume "AttentionMetaResult" for every sentence pair. Also drops the key and query.
 
     attentions: The attentions returned by the model
     layer: The layer to analyze
     text_info_formatter: How to parse the 'left' and 'right' sides by layer
     """
-    aa = attentions['aa']
-
-    # When updating the masked attentions, we don't have to modfiy the contexts and the embeddings
-    new_left = text_info_formatter(aa['left'], layer)
-    new_right = text_info_formatter(aa['right'], layer)
+    out = {}
 
-    new_aa = {
-        'att': aa['att'][layer],
-        'left': new_left,
-        'right': new_right
-    }
+    for k, pair in attentions.items():
+        # When updating the masked attentions, we don't have to modfiy the contexts and the embeddings
+        new_left = text_info_formatter(pair['left'], layer)
+        new_right = text_info_formatter(pair['right'], layer)
 
-    out = {
-        'aa': new_aa
-    }
+        out[k] = {
+            'att': pair['att'][layer],
+            'left': new_left,
+            'right': new_right
+        }
 
     return out
 
 #======================================================================
 ## CONNEXION API ##
 #======================================================================
+def get_model_info():
+    """ Describe the loaded model so that the frontend can size its components """
+    config = model.config
+    return {
+        'name': bert_version,
+        'nLayers': config.num_hidden_layers,
+        'nHeads': config.num_attention_heads,
+        'hiddenSize': config.hidden_size,
+        'specialTokens': special_tokens,
+        'metaOptions': get_tag_sets(),
+    }
+
 def get_attention_and_meta(**request):
     sent_a = request['sentenceA']
     sent_b = request['sentenceB']
     layer = int(request['layer'])
+    has_b = len(sent_b.strip()) > 0
     deets = details_data.get_data(sent_a, sent_b)
     attentions_and_meta = add_token_info(deets.to_json(), sent_a, sent_b)
 
-    return minimize_aa(keep_aa(attentions_and_meta), layer, in_side_select_layer)
+    return minimize_pairs(keep_pairs(attentions_and_meta, has_b), layer, in_side_select_layer)
+
+def mask_tokens(tokens, mask_inds):
+    """ Replace the tokens at the indices in 'mask_inds' with the [MASK] token """
+    MASK = special_tokens['mask']
+    return [t if i not in mask_inds else MASK for (i, t) in enumerate(tokens)]
 
 def update_masked_meta_attention(**request):
     """
@@ -160,9 +182,8 @@ def update_masked_meta_attention(**request):
     mask_b = payload['maskB']
     layer = int(payload['layer'])
 
-    MASK = '[MASK]'
-    tokens_a = [t if i not in mask_a else MASK for (i, t) in enumerate(a)]
-    tokens_b = [t if i not in mask_b else MASK for (i, t) in enumerate(b)]
+    tokens_a = mask_tokens(a, mask_a)
+    tokens_b = mask_tokens(b, mask_b)
     print("tokens_a: ", tokens_a)
     print("tokens_b: ", tokens_b)
 
@@ -177,9 +198,31 @@ def update_masked_meta_attention(**request):
             attentions[k]['left']['text'] = eval(k[0]) # Calls the 'a' or 'b' from above
             attentions[k]['right']['text'] = eval(k[1])
 
-    out = minimize_aa(keep_aa(attentions), layer, masking_reformat)
+    # Sentence B is only its '[SEP]' token when there is no second sentence
+    has_b = len(b) > 1
+    out = minimize_pairs(keep_pairs(attentions, has_b), layer, masking_reformat)
     return out
 
+def attention_all_layers(**request):
+    """
+    Return the attentions of every layer and head for tokens and mask indices, without embeddings or metadata.
+
+    Used to summarize all heads of the model at once.
+    """
+    payload = request['payload']
+    a = payload['tokensA']
+    b = payload['tokensB']
+    tokens_a = mask_tokens(a, payload['maskA'])
+    tokens_b = mask_tokens(b, payload['maskB'])
+
+    deets = details_data.get_data_from_tokens(tokens_a, tokens_b)
+
+    # Sentence B is only its '[SEP]' token when there is no second sentence
+    has_b = len(b) > 1
+    attentions = keep_pairs(deets.to_json(), has_b)
+
+    return {k: {'att': pair['att']} for k, pair in attentions.items()}
+
 def woz_nearest_embedding_search(**request):
     """Return the token text and the metadata in JSON"""
     q = np.array(request['embedding']).reshape((1, -1)).astype(np.float32)
@@ -1,6 +1,7 @@
 import h5py
 import numpy as np
 import spacy
+from spacy.symbols import POS
 from pytorch_pretrained_bert import BertTokenizer
 from .gen_utils import BPE_SPECIAL_TOKS
 
@@ -10,6 +11,34 @@ bert_model = 'bert-base-uncased'
 bpe = BertTokenizer.from_pretrained(bert_model)
 nlp = spacy.load('en_core_web_sm')
 
+def get_tag_sets():
+    """Get every tag that spacy can assign, lowercased like the metadata of the corpus.
+
+    output:
+    =======
+        - dict containing the possible values of:
+            - pos : part of speech
+            - dep : dependency
+            - is_ent : whether or not a token is an entity
+            - ents : entity type
+    """
+    lower = lambda labels: sorted(set(l.lower() for l in labels))
+    # The tag map holds the ids of the POS symbols, not their names
+    pos = [nlp.vocab.strings[v[POS]] for v in nlp.vocab.morphology.tag_map.values() if POS in v]
+
+    return {"pos": lower(pos),
+            "dep": lower(nlp.get_pipe('parser').labels),
+            "is_ent": [True, False],
+            "ents": lower(nlp.get_pipe('ner').labels)}
+
+def get_special_tokens(tokenizer=bpe):
+    """Get the special tokens of a BERT tokenizer by their role, e.g. {"cls": "[CLS]"}.
+
+    These are the tokens that the tokenizer never splits and that are in its vocabulary.
+    """
+    specials = [t for t in tokenizer.basic_tokenizer.never_split if t in tokenizer.vocab]
+    return {t.strip("[]").lower(): t for t in specials}
+
 def spacy_tokenize(s):
     """Convert a single sentence to spacy tokens only"""
     doc = nlp(s)